@@ -4,7 +4,14 @@ const common = [
   'utility.js',
   'reference/HTMLReferenceElement.js',
   'reference/Manager.js',
+  'data/util.js',
   'data/httpproxy.js',
+  'data/jsonapiproxy.js',
+  'data/graphqlproxy.js',
+  'data/websocketproxy.js',
+  'data/eventsourceproxy.js',
+  'data/localproxy.js',
+  'data/offlineproxy.js',
   'driver.js',
   'loader.js',
   'state.js',
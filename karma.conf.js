@@ -173,7 +173,14 @@ var getFiles = function () {
       'src/utility.js',
       'src/reference/HTMLReferenceElement.js',
       'src/reference/Manager.js',
+      'src/data/util.js',
       'src/data/httpproxy.js',
+      'src/data/jsonapiproxy.js',
+      'src/data/graphqlproxy.js',
+      'src/data/websocketproxy.js',
+      'src/data/eventsourceproxy.js',
+      'src/data/localproxy.js',
+      'src/data/offlineproxy.js',
       'src/driver.js',
       'src/loader.js',
       'src/state.js',
@@ -197,6 +204,20 @@ var getFiles = function () {
     nocache: true,
     watched: false
   })
+  allfiles.push({
+    pattern: 'test/data/*.json',
+    served: true,
+    included: false,
+    nocache: true,
+    watched: false
+  })
+  allfiles.push({
+    pattern: 'test/data/*.{js,css}',
+    served: true,
+    included: false,
+    nocache: true,
+    watched: false
+  })
 
   console.log('Including Files:\n')
   allfiles.forEach((filename) => {
@@ -0,0 +1,366 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.EventSourceProxy
+ * Keeps a store synchronized with a remote
+ * [server-sent event](https://html.spec.whatwg.org/multipage/server-sent-events.html)
+ * stream. This is a read-only proxy, well suited to dashboards and other
+ * views that display data changed elsewhere.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.EventSourceProxy({
+ *     url: 'https://api.domain.com/people/stream',
+ *     events: {
+ *       create: 'person.added',
+ *       update: 'person.changed',
+ *       delete: 'person.removed'
+ *     }
+ *   })
+ * })
+ *
+ * NGN.BUS.on('eventsource.state', function (e) {
+ *   console.log(e.state) // connecting, open, reconnecting or closed
+ * })
+ * ```
+ *
+ * The stream is opened when the proxy is attached to a store. The `data`
+ * of each event is a JSON record. Deletions only require the ID:
+ *
+ * ```
+ * id: 42
+ * event: person.removed
+ * data: { "id": "1" }
+ * ```
+ *
+ * Browsers reconnect automatically, sending the ID of the last event
+ * received as the `Last-Event-ID` header. If the browser gives up (or the
+ * stream is reopened with #connect), the proxy reconnects with an
+ * exponential backoff and sends the last event ID as a query string
+ * parameter (see #lastEventIdParam), since `EventSource` does not support
+ * custom headers.
+ * @extends NGN.DATA.Proxy
+ */
+if (NGN.DATA.Proxy && NGNX.DATA.util) {
+  window.NGNX.DATA.EventSourceProxy = function (cfg) {
+    cfg = cfg || {}
+
+    this.constructor(cfg)
+    var me = this
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {object} [events]
+       * The names of the server-sent events applied to the store, keyed
+       * by action. The defaults are:
+       *
+       * ```js
+       * {
+       *   create: 'create',
+       *   update: 'update',
+       *   delete: 'delete',
+       *   load: 'load'
+       * }
+       * ```
+       *
+       * A `load` event contains an array of records that replaces the
+       * contents of the store. Any other named event is fired on the bus
+       * as `eventsource.message`.
+       */
+      events: NGN.privateconst((function () {
+        var events = {
+          create: 'create',
+          update: 'update',
+          delete: 'delete',
+          load: 'load'
+        }
+
+        Object.keys(cfg.events || {}).forEach(function (action) {
+          events[action] = cfg.events[action]
+        })
+
+        return events
+      })()),
+
+      /**
+       * @cfg {Array} [listen]
+       * Additional named events that are fired on the bus as
+       * `eventsource.message`. Unnamed events (`message`) are always
+       * included.
+       */
+      listen: NGN.privateconst(cfg.listen || []),
+
+      /**
+       * @cfg {string} [idField=id]
+       * The model field used to match events to records.
+       */
+      idField: NGN.privateconst(NGN.coalesce(cfg.idField, 'id')),
+
+      /**
+       * @cfg {boolean} [withCredentials=false]
+       * Send cookies with cross-origin stream requests.
+       */
+      withCredentials: NGN.privateconst(NGN.coalesce(cfg.withCredentials, false)),
+
+      /**
+       * @cfg {string} [lastEventIdParam=lastEventId]
+       * The query string parameter used to resume the stream when the
+       * proxy reconnects.
+       */
+      lastEventIdParam: NGN.privateconst(NGN.coalesce(cfg.lastEventIdParam, 'lastEventId')),
+
+      /**
+       * @cfg {boolean} [autoConnect=true]
+       * Open the stream when the proxy is attached to a store. Otherwise,
+       * #connect must be called.
+       */
+      autoConnect: NGN.privateconst(NGN.coalesce(cfg.autoConnect, true)),
+
+      /**
+       * @cfg {boolean|object} [reconnect=true]
+       * Reconnect with an exponential backoff when the browser closes the
+       * stream. Set to `false` to disable, or provide an object with
+       * `attempts` (default `Infinity`), `delay` (default `1000`), `factor`
+       * (default `2`) and `maxDelay` (default `30000`). See
+       * NGNX.DATA.WebSocketProxy#reconnect.
+       */
+      reconnect: NGN.privateconst(NGNX.DATA.util.reconnectPolicy(cfg.reconnect)),
+
+      /**
+       * @property {string} state
+       * The stream state: `connecting`, `open`, `reconnecting` or `closed`.
+       * @readonly
+       */
+      state: NGN._get(function () {
+        return this.connection.state
+      }),
+
+      /**
+       * @property {string} lastEventId
+       * The ID of the last event received. This is `null` until an event
+       * with an ID is received.
+       * @readonly
+       */
+      lastEventId: NGN._get(function () {
+        return this.connection.lastEventId
+      }),
+
+      connection: NGN.private({
+        state: 'closed',
+        source: null,
+        attempts: 0,
+        timer: null,
+        lastEventId: null
+      }),
+
+      /**
+       * @method transition
+       * Change the stream #state.
+       * @param {string} state
+       * @param {object} [detail]
+       * Additional attributes of the event payload.
+       * @fires eventsource.state
+       * Fired with the `state`, `url` and `proxy` whenever the state
+       * changes. An `eventsource.<state>` event (such as
+       * `eventsource.open`) is also fired with the same payload.
+       * @private
+       */
+      transition: NGN.privateconst(function (state, detail) {
+        NGNX.DATA.util.transition(this, 'eventsource', state, detail)
+      }),
+
+      /**
+       * @property {string} endpoint
+       * The stream URL, including the last event ID when resuming.
+       * @readonly
+       * @private
+       */
+      endpoint: NGN._get(function () {
+        if (this.connection.lastEventId === null) {
+          return this.url
+        }
+
+        var parts = this.url.split('#')
+
+        parts[0] += (parts[0].indexOf('?') >= 0 ? '&' : '?') + encodeURIComponent(this.lastEventIdParam) + '=' + encodeURIComponent(this.connection.lastEventId)
+
+        return parts.join('#')
+      }),
+
+      /**
+       * @method connect
+       * Open the stream. This is done automatically when the proxy is
+       * attached to a store (see #autoConnect).
+       */
+      connect: NGN.const(function () {
+        if (me.connection.source !== null) {
+          return
+        }
+
+        clearTimeout(me.connection.timer)
+
+        if (me.connection.state !== 'reconnecting') {
+          me.connection.attempts = 0
+          me.transition('connecting')
+        }
+
+        var source = new window.EventSource(me.endpoint, {
+          withCredentials: me.withCredentials
+        })
+
+        me.connection.source = source
+
+        source.onopen = function () {
+          me.connection.attempts = 0
+
+          if (me.connection.state !== 'open') {
+            me.transition('open')
+          }
+        }
+
+        source.onerror = function (e) {
+          NGN.emit('eventsource.error', {
+            url: me.url,
+            proxy: me,
+            error: e
+          })
+
+          // The browser is retrying on its own.
+          if (source.readyState !== 2) {
+            if (me.connection.state === 'open') {
+              me.transition('reconnecting', {
+                attempt: 0
+              })
+            }
+
+            return
+          }
+
+          source.close()
+          me.connection.source = null
+
+          if (me.reconnect === null || me.connection.attempts >= me.reconnect.attempts) {
+            me.transition('closed')
+            return
+          }
+
+          var delay = NGNX.DATA.util.backoff(me.reconnect, me.connection.attempts)
+
+          me.connection.attempts++
+          me.transition('reconnecting', {
+            attempt: me.connection.attempts,
+            delay: delay
+          })
+
+          me.connection.timer = setTimeout(function () {
+            me.connect()
+          }, delay)
+        }
+
+        Object.keys(me.events).forEach(function (action) {
+          source.addEventListener(me.events[action], function (e) {
+            me.receive(action, e)
+          })
+        })
+
+        ;['message'].concat(me.listen).forEach(function (name) {
+          source.addEventListener(name, function (e) {
+            me.receive(null, e)
+          })
+        })
+      }),
+
+      /**
+       * @method disconnect
+       * Close the stream without reconnecting.
+       */
+      disconnect: NGN.const(function () {
+        clearTimeout(me.connection.timer)
+
+        if (me.connection.source !== null) {
+          me.connection.source.close()
+          me.connection.source = null
+        }
+
+        if (me.connection.state !== 'closed') {
+          me.transition('closed')
+        }
+      }),
+
+      /**
+       * @method receive
+       * Apply a server-sent event to the store.
+       * @param {string} action
+       * The store action (`create`, `update`, `delete` or `load`), or `null`
+       * for events that are only fired on the bus.
+       * @param {MessageEvent} e
+       * @fires eventsource.message
+       * Fired with the event `name`, `id` and parsed `data` of every event
+       * that is not mapped to a store action.
+       * @fires eventsource.error
+       * Fired when the data of an event cannot be parsed.
+       * @private
+       */
+      receive: NGN.privateconst(function (action, e) {
+        if (e.lastEventId) {
+          this.connection.lastEventId = e.lastEventId
+        }
+
+        var data
+
+        try {
+          data = JSON.parse(e.data)
+        } catch (err) {
+          if (action !== null) {
+            NGN.emit('eventsource.error', {
+              url: this.url,
+              proxy: this,
+              error: err,
+              message: e.data
+            })
+
+            return
+          }
+
+          data = e.data
+        }
+
+        if (action === null || !this.store) {
+          NGN.emit('eventsource.message', {
+            url: this.url,
+            proxy: this,
+            name: e.type,
+            id: NGN.coalesce(e.lastEventId, null),
+            data: data
+          })
+
+          return
+        }
+
+        NGNX.DATA.util.applyChange(this.store, this.idField, action, data)
+      }),
+
+      /**
+       * @method init
+       * Attach the proxy to a store and open the stream (see #autoConnect).
+       * @param {NGN.DATA.Store} store
+       * @private
+       */
+      init: NGN.privateconst(function (store) {
+        NGN.DATA.Proxy.prototype.init.call(this, store)
+
+        if (this.autoConnect) {
+          this.connect()
+        }
+      })
+    })
+  }
+
+  NGN.inherit(NGN.DATA.Proxy, NGNX.DATA.EventSourceProxy)
+} else {
+  throw new Error('NGN.DATA.Proxy & NGNX.DATA.util are required for NGNX.DATA.EventSourceProxy.')
+}
@@ -0,0 +1,375 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.GraphQLProxy
+ * Provides a gateway to a remote [GraphQL](http://graphql.org) endpoint.
+ * Records are retrieved with a #query and persisted with #mutations.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.GraphQLProxy({
+ *     url: 'https://api.domain.com/graphql',
+ *     query: 'query People($limit: Int) { people(limit: $limit) { id name } }',
+ *     variables: { limit: 50 },
+ *     dataPath: 'people',
+ *     mutations: {
+ *       create: 'mutation ($input: PersonInput!) { createPerson(input: $input) { id } }',
+ *       update: 'mutation ($id: ID!, $input: PersonInput!) { updatePerson(id: $id, input: $input) { id } }',
+ *       delete: 'mutation ($id: ID!) { deletePerson(id: $id) }'
+ *     }
+ *   })
+ * })
+ *
+ * People.proxy.fetch({ limit: 10 }).then(function (result) {
+ *   console.log(result.data)
+ * })
+ * ```
+ *
+ * GraphQL servers often report errors with a `200 OK` status. A response
+ * containing an `errors` array is treated as a failure. The errors are
+ * available as the `errors` attribute of the NGNX.DATA.HttpProxyError#details
+ * and the `save.error` payload.
+ *
+ * Every query and mutation is sent through the NGNX.DATA.HttpProxy request
+ * pipeline, so the `headers`, `interceptors`, `tokenProvider`,
+ * `refreshToken` and `retry` options apply, and #fetch and #save can be
+ * cancelled (see NGNX.DATA.HttpProxy#cancel). GraphQL operations are sent
+ * as a `POST`, which is only retried when `POST` is one of the `methods` of
+ * the `retry` policy. Options describing REST resources (such as `routes`,
+ * `bulk`, `patch`, `pagination` and `cache`) are not used.
+ * @extends NGNX.DATA.HttpProxy
+ */
+if (NGNX.DATA.HttpProxy && NGNX.DATA.util) {
+  const resolve = NGNX.DATA.util.resolve
+  const apply = NGNX.DATA.util.apply
+  const respond = NGNX.DATA.util.respond
+
+  // The default mutation variables of each save action.
+  const defaults = {
+    create: function (model) {
+      return { input: model.data }
+    },
+
+    update: function (model, id) {
+      return { id: id, input: model.data }
+    },
+
+    delete: function (model, id) {
+      return { id: id }
+    }
+  }
+
+  window.NGNX.DATA.GraphQLProxy = function (cfg) {
+    cfg = cfg || {}
+
+    var me = this
+
+    NGNX.DATA.HttpProxy.call(this, cfg)
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} query
+       * The GraphQL query used by #fetch to retrieve records.
+       */
+      query: NGN.define(true, true, false, NGN.coalesce(cfg.query, null)),
+
+      /**
+       * @cfg {object|function} [variables]
+       * The default variables of the #query. This may be a function that
+       * returns the variables. Variables passed to #fetch are merged with
+       * (and override) these values.
+       */
+      variables: NGN.define(true, true, false, NGN.coalesce(cfg.variables, {})),
+
+      /**
+       * @cfg {string} [dataPath]
+       * The dot-delimited path to the array of records within the `data`
+       * of the #query response. For example, a query of
+       * `{ people { id name } }` requires a `dataPath` of `people`.
+       */
+
+      /**
+       * @cfg {object} [mutations]
+       * The GraphQL mutations used by #save, keyed by action (`create`,
+       * `update` and `delete`). A mutation may be a string or an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.GraphQLProxy({
+       *   url: 'https://api.domain.com/graphql',
+       *   mutations: {
+       *     create: {
+       *       mutation: 'mutation ($person: PersonInput!) { addPerson(person: $person) { id } }',
+       *       variables: function (model) {
+       *         return { person: model.data }
+       *       },
+       *       dataPath: 'addPerson'
+       *     }
+       *   }
+       * })
+       * ```
+       *
+       * - `mutation`: The GraphQL mutation.
+       * - `variables`: A function that receives the model and its ID (the
+       * value of the NGNX.DATA.HttpProxy#idField) and returns the mutation
+       * variables. By default, creates send `{ input }`, updates send
+       * `{ id, input }` and deletes send `{ id }`, where `input` is the
+       * model data.
+       * - `dataPath`: The dot-delimited path to the record within the `data`
+       * of the response. The record is applied to the model, which is useful
+       * for accepting server-assigned IDs. Defaults to the first field of
+       * the response `data`.
+       */
+      mutations: NGN.privateconst((function () {
+        var mutations = {}
+
+        Object.keys(cfg.mutations || {}).forEach(function (action) {
+          var mutation = typeof cfg.mutations[action] === 'string' ? { mutation: cfg.mutations[action] } : cfg.mutations[action]
+
+          mutations[action] = {
+            mutation: mutation.mutation,
+            variables: NGN.isFn(mutation.variables) ? mutation.variables : defaults[action],
+            dataPath: NGN.coalesce(mutation.dataPath, null)
+          }
+        })
+
+        return mutations
+      })()),
+
+      /**
+       * @method request
+       * Send a GraphQL operation.
+       * @param {string} operation
+       * The query or mutation.
+       * @param {object} variables
+       * @param {string} action
+       * The proxy action (`fetch`, `create`, `update` or `delete`).
+       * @param {object} ticket
+       * The cancellation ticket of the #fetch or #save.
+       * @param {NGN.DATA.Model} [model]
+       * The model being saved.
+       * @returns {Promise}
+       * Resolves with the `data` of the response. Rejects with an
+       * NGNX.DATA.HttpProxyError when the server responds with a non-2xx
+       * status code, an unreadable body or an `errors` array.
+       * @private
+       */
+      request: NGN.privateconst(function (operation, variables, action, ticket, model) {
+        var req = this.options
+        req.method = 'POST'
+        req.ticket = ticket
+        req.json = {
+          query: operation,
+          variables: variables || {}
+        }
+
+        return this.transmit(req).then(function (res) {
+          ticket.verify()
+
+          var body = res.responseText
+          var details = null
+
+          try {
+            body = JSON.parse(body)
+          } catch (e) {}
+
+          if (NGN.typeof(body) === 'object' && Array.isArray(body.errors) && body.errors.length > 0) {
+            details = {
+              message: body.errors.map(function (error) {
+                return error.message
+              }).join(' '),
+              errors: body.errors
+            }
+          }
+
+          if (details === null && res.status >= 200 && res.status < 300 && NGN.typeof(body) === 'object') {
+            return NGN.coalesce(body.data, null)
+          }
+
+          var message = details !== null
+            ? details.message
+            : (res.status >= 200 && res.status < 300 ? 'Invalid GraphQL response received from ' + req.url + '.' : 'Could not ' + action + (action === 'fetch' ? ' records' : ' record') + ' (HTTP ' + res.status + ').')
+
+          throw new NGNX.DATA.HttpProxyError(message, {
+            status: res.status,
+            body: body,
+            action: action,
+            model: model,
+            response: res,
+            details: details
+          })
+        })
+      }),
+
+      /**
+       * @method save
+       * Persist all created, updated and deleted records using the
+       * configured #mutations. Each record is sent as a separate mutation.
+       *
+       * ```js
+       * MyStore.proxy.save().then(function (result) {
+       *   console.log(result.created, result.updated, result.deleted)
+       * }).catch(function (err) {
+       *   console.log(err.details.errors)
+       * })
+       * ```
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with an object containing the number of records
+       * `created`, `updated` and `deleted`. Rejects with the first
+       * NGNX.DATA.HttpProxyError. All errors are available as the `errors`
+       * attribute of the rejection. Rejects with an Error when a record
+       * needs a mutation that is not configured (see #mutations). The
+       * Promise has a `cancel()` method.
+       * @fires save.error
+       * Fired for each record that could not be saved. The payload contains
+       * the `message`, `status`, `action`, `model`, GraphQL `errors` (if
+       * any) and `error`.
+       */
+      save: NGN.define(true, false, true, function (callback) {
+        return respond(this.operation('save', function (ticket) {
+          var result = {
+            created: 0,
+            updated: 0,
+            deleted: 0
+          }
+          var counters = {
+            create: 'created',
+            update: 'updated',
+            delete: 'deleted'
+          }
+          var errors = []
+          var requests = []
+
+          var missing = Object.keys(counters).filter(function (action) {
+            return me.actions[action].length > 0 && !me.mutations.hasOwnProperty(action)
+          })
+
+          if (missing.length > 0) {
+            throw new Error('No GraphQL mutation is configured for the ' + missing.join(', ') + ' action.')
+          }
+
+          Object.keys(counters).forEach(function (action) {
+            var mutation = me.mutations[action]
+
+            me.actions[action].forEach(function (model) {
+              requests.push(me.request(mutation.mutation, mutation.variables(model, me.identify(model)), action, ticket, model).then(function (data) {
+                if (action !== 'delete' && NGN.typeof(data) === 'object') {
+                  var key = mutation.dataPath !== null ? mutation.dataPath : Object.keys(data)[0]
+                  apply(model, resolve(data, key))
+                }
+
+                result[counters[action]]++
+              }, function (err) {
+                if (err.cancelled) {
+                  throw err
+                }
+
+                errors.push(err)
+
+                NGN.emit('save.error', {
+                  message: err.message,
+                  status: err.status,
+                  action: action,
+                  model: model,
+                  errors: err.details !== null ? err.details.errors : [],
+                  error: err
+                })
+              }))
+            })
+          })
+
+          return Promise.all(requests).then(function () {
+            if (errors.length > 0) {
+              errors[0].errors = errors
+              errors[0].result = result
+
+              throw errors[0]
+            }
+
+            return result
+          })
+        }), callback)
+      }),
+
+      /**
+       * @method fetch
+       * Retrieve records using the configured #query and load them into
+       * the store.
+       *
+       * ```js
+       * MyStore.proxy.fetch({ limit: 10 }).then(function (result) {
+       *   console.log(result.data)
+       * })
+       * ```
+       * @param {object} [variables]
+       * Query variables, merged with the default #variables.
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with an object containing the array of records (`data`)
+       * and the complete `response` data. Rejects with an
+       * NGNX.DATA.HttpProxyError. The Promise has a `cancel()` method.
+       * @fires fetch.error
+       * Fired with the NGNX.DATA.HttpProxyError when the records cannot
+       * be retrieved.
+       */
+      fetch: NGN.define(true, false, true, function (variables, callback) {
+        if (NGN.isFn(variables)) {
+          callback = variables
+          variables = {}
+        }
+
+        var values = {}
+        var base = NGN.isFn(me.variables) ? me.variables() : me.variables
+
+        ;[base, variables].forEach(function (source) {
+          Object.keys(source || {}).forEach(function (key) {
+            values[key] = source[key]
+          })
+        })
+
+        return respond(this.operation('fetch', function (ticket) {
+          if (me.query === null) {
+            throw new Error('No GraphQL query is configured for the proxy.')
+          }
+
+          return me.request(me.query, values, 'fetch', ticket).then(function (data) {
+            var records = resolve(data, me.dataPath)
+
+            if (!Array.isArray(records)) {
+              throw new NGNX.DATA.HttpProxyError('The GraphQL response does not contain an array of records' + (me.dataPath !== null ? ' at "' + me.dataPath + '"' : '') + '.', {
+                status: 200,
+                body: data,
+                action: 'fetch'
+              })
+            }
+
+            me.store.reload(records)
+
+            return {
+              data: records,
+              response: data
+            }
+          }).catch(function (err) {
+            if (!err.cancelled) {
+              NGN.emit('fetch.error', err)
+            }
+
+            throw err
+          })
+        }), callback)
+      })
+    })
+  }
+
+  NGN.inherit(NGNX.DATA.HttpProxy, NGNX.DATA.GraphQLProxy)
+} else {
+  throw new Error('NGNX.DATA.HttpProxy & NGNX.DATA.util are required for NGNX.DATA.GraphQLProxy.')
+}
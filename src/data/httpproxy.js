@@ -8,95 +8,3081 @@ window.NGNX.DATA = window.NGNX.DATA || {}
  * Provides a gateway to a remote HTTP/S endpoint.
  * @extends NGN.DATA.Proxy
  */
-if (NGN.DATA.Proxy && NGN.NET) {
+if (NGN.DATA.Proxy && NGN.NET && NGNX.DATA.util) {
+  /**
+   * @class NGNX.DATA.HttpProxyError
+   * The error used to reject HttpProxy promises when the remote server
+   * responds with a non-2xx status code or an unreadable body.
+   *
+   * ```js
+   * MyStore.proxy.save().catch(function (err) {
+   *   if (err instanceof NGNX.DATA.HttpProxyError) {
+   *     console.log(err.status, err.body, err.model)
+   *   }
+   * })
+   * ```
+   * @extends Error
+   */
+  window.NGNX.DATA.HttpProxyError = function (message, cfg) {
+    cfg = cfg || {}
+
+    this.name = 'HttpProxyError'
+    this.message = message
+
+    /**
+     * @property {number} status
+     * The HTTP status code returned by the server.
+     */
+    this.status = NGN.coalesce(cfg.status, null)
+
+    /**
+     * @property {any} body
+     * The response body. JSON responses are parsed automatically.
+     */
+    this.body = NGN.coalesce(cfg.body, null)
+
+    /**
+     * @property {string} action
+     * The proxy action that failed (`create`, `update`, `delete` or `fetch`).
+     */
+    this.action = NGN.coalesce(cfg.action, null)
+
+    /**
+     * @property {NGN.DATA.Model} model
+     * The model being persisted when the error occurred. This is `null`
+     * for fetch errors.
+     */
+    this.model = NGN.coalesce(cfg.model, null)
+
+    /**
+     * @property {XMLHttpRequest} response
+     * The raw response object.
+     */
+    this.response = NGN.coalesce(cfg.response, null)
+
+    /**
+     * @property {boolean} cancelled
+     * Indicates the operation was cancelled (see NGNX.DATA.HttpProxy#cancel).
+     */
+    this.cancelled = cfg.cancelled === true
+
+    /**
+     * @property {object} details
+     * Structured error details extracted from the response body by
+     * NGNX.DATA.HttpProxy#transformError. This is `null` when no
+     * transformation is configured.
+     */
+    this.details = NGN.coalesce(cfg.details, null)
+
+    this.stack = (new Error(message)).stack
+  }
+
+  NGNX.DATA.HttpProxyError.prototype = Object.create(Error.prototype)
+  NGNX.DATA.HttpProxyError.prototype.constructor = NGNX.DATA.HttpProxyError
+
+  // A cancellation handle shared by every request of a single operation.
+  // Work that continues after the operation resolves (such as a cache
+  // revalidation) is added to `pending`, keeping the ticket cancellable.
+  const Ticket = function (action) {
+    this.action = action
+    this.cancelled = false
+    this.reason = null
+    this.listeners = []
+    this.pending = []
+  }
+
+  Ticket.prototype.cancel = function (reason) {
+    if (this.cancelled) {
+      return
+    }
+
+    this.cancelled = true
+    this.reason = NGN.coalesce(reason, 'The ' + this.action + ' was cancelled.')
+
+    this.listeners.splice(0).forEach(function (listener) {
+      listener()
+    })
+  }
+
+  Ticket.prototype.error = function () {
+    return new NGNX.DATA.HttpProxyError(this.reason, {
+      status: 0,
+      action: this.action,
+      cancelled: true
+    })
+  }
+
+  // Throw the cancellation error if the operation was cancelled.
+  Ticket.prototype.verify = function () {
+    if (this.cancelled) {
+      throw this.error()
+    }
+  }
+
+  // Indicates a value is a File or Blob.
+  const binary = function (value) {
+    return typeof window.Blob !== 'undefined' && value instanceof window.Blob
+  }
+
+  // Send a request containing binary content (FormData or a Blob) with an
+  // XMLHttpRequest, reporting upload progress to the optional `progress`
+  // function of the request configuration.
+  const transfer = function (method, cfg, callback) {
+    var xhr = new window.XMLHttpRequest()
+
+    xhr.open(method.toUpperCase(), cfg.url, true, cfg.username, cfg.password)
+
+    Object.keys(cfg.headers || {}).forEach(function (header) {
+      xhr.setRequestHeader(header, cfg.headers[header])
+    })
+
+    if (cfg.accessToken) {
+      xhr.setRequestHeader('Authorization', 'Bearer ' + cfg.accessToken)
+    }
+
+    if (cfg.withCredentials) {
+      xhr.withCredentials = true
+    }
+
+    if (NGN.isFn(cfg.progress) && xhr.upload) {
+      xhr.upload.onprogress = function (e) {
+        cfg.progress(e.loaded, e.lengthComputable ? e.total : null)
+      }
+    }
+
+    xhr.onload = xhr.onerror = function () {
+      callback(xhr)
+    }
+
+    xhr.send(NGN.coalesce(cfg.body, null))
+
+    return xhr
+  }
+
+  // Run a request through NGN.NET, resolving with the raw response.
+  // Methods without an NGN.NET shortcut are sent through NGN.NET.request.
+  // Binary requests are sent with a raw XMLHttpRequest (see transfer).
+  // Requests with a cancellation ticket are rejected when it is cancelled,
+  // and aborted if NGN.NET returns an abortable request.
+  const send = function (method, req) {
+    var ticket = NGN.coalesce(req.ticket, null)
+    var cfg = copy(req)
+
+    delete cfg.ticket
+    method = method.toLowerCase()
+
+    return new Promise(function (resolve, reject) {
+      var done = false
+      var handle = null
+
+      if (ticket !== null && ticket.cancelled) {
+        return reject(ticket.error())
+      }
+
+      var abort = function () {
+        if (!done) {
+          done = true
+
+          if (handle && NGN.isFn(handle.abort)) {
+            handle.abort()
+          }
+
+          reject(ticket.error())
+        }
+      }
+
+      var complete = function (res) {
+        if (!done) {
+          done = true
+
+          if (ticket !== null && ticket.listeners.indexOf(abort) >= 0) {
+            ticket.listeners.splice(ticket.listeners.indexOf(abort), 1)
+          }
+
+          resolve(res)
+        }
+      }
+
+      if (ticket !== null) {
+        ticket.listeners.push(abort)
+      }
+
+      if (cfg.binary) {
+        handle = transfer(method, cfg, complete)
+      } else if (['get', 'post', 'put', 'delete', 'head'].indexOf(method) >= 0) {
+        handle = NGN.NET[method](cfg, complete)
+      } else {
+        cfg.method = method.toUpperCase()
+        handle = NGN.NET.request(cfg, complete)
+      }
+    })
+  }
+
+  // Determines whether a response represents a successful request.
+  const succeeded = function (res) {
+    return res.status >= 200 && res.status < 300
+  }
+
+  // Parse the response body, falling back to plain text for non-JSON content.
+  const parse = function (res) {
+    try {
+      return JSON.parse(res.responseText)
+    } catch (e) {
+      return res.responseText
+    }
+  }
+
+  // Create a copy of a request configuration (including its headers).
+  const copy = function (req) {
+    var clone = {}
+
+    Object.keys(req).forEach(function (key) {
+      clone[key] = req[key]
+    })
+
+    if (NGN.typeof(req.headers) === 'object') {
+      clone.headers = {}
+
+      Object.keys(req.headers).forEach(function (key) {
+        clone.headers[key] = req.headers[key]
+      })
+    }
+
+    return clone
+  }
+
+  // Identify a request by its URL and headers.
+  const fingerprint = function (req) {
+    var headers = req.headers || {}
+
+    return req.url + '|' + Object.keys(headers).sort().map(function (header) {
+      return header.toLowerCase() + ':' + headers[header]
+    }).join(';')
+  }
+
+  // A non-cryptographic hash of a string (djb2 and sdbm combined), used to
+  // identify credentials without storing them.
+  const digest = function (str) {
+    var djb = 5381
+    var sdbm = 0
+
+    for (var i = 0; i < str.length; i++) {
+      var ch = str.charCodeAt(i)
+
+      djb = ((djb << 5) + djb + ch) | 0
+      sdbm = (ch + (sdbm << 6) + (sdbm << 16) - sdbm) | 0
+    }
+
+    return (djb >>> 0).toString(36) + (sdbm >>> 0).toString(36)
+  }
+
+  // Identify the credentials of a request (the access token and username)
+  // without storing them. Requests without credentials return an empty
+  // string.
+  const credentials = function (req, token) {
+    if (token === null && !req.username) {
+      return ''
+    }
+
+    return '|' + digest(NGN.coalesce(token, '') + '|' + NGN.coalesce(req.username, ''))
+  }
+
+  // Resolve after the specified number of milliseconds.
+  const wait = function (ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms)
+    })
+  }
+
+  const apply = NGNX.DATA.util.apply
+
+  // The proxies with an outbound queue, keyed by queue key. Proxies with
+  // the same key share a queue, so only the most recent one is kept. A
+  // single listener replays every queue when the browser comes back online.
+  const queues = {}
+
+  window.addEventListener('online', function () {
+    Object.keys(queues).forEach(function (key) {
+      queues[key].replay()
+    })
+  })
+
+  // Set (or replace) a query string parameter of a URL.
+  const param = function (url, key, value) {
+    var parts = url.split('#')
+    var pattern = new RegExp('([?&])' + encodeURIComponent(key).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '=[^&]*')
+    var pair = encodeURIComponent(key) + '=' + encodeURIComponent(value)
+
+    if (pattern.test(parts[0])) {
+      parts[0] = parts[0].replace(pattern, '$1' + pair)
+    } else {
+      parts[0] += (parts[0].indexOf('?') >= 0 ? '&' : '?') + pair
+    }
+
+    return parts.join('#')
+  }
+
+  const resolve = NGNX.DATA.util.resolve
+
+  // Normalize a query filter into a list of { field, op, value } conditions.
+  const conditions = function (filter) {
+    var list = []
+
+    Object.keys(filter || {}).forEach(function (field) {
+      var value = filter[field]
+
+      if (Array.isArray(value)) {
+        list.push({ field: field, op: 'in', value: value })
+      } else if (NGN.typeof(value) === 'object') {
+        Object.keys(value).forEach(function (op) {
+          list.push({ field: field, op: op, value: value[op] })
+        })
+      } else {
+        list.push({ field: field, op: 'eq', value: value })
+      }
+    })
+
+    return list
+  }
+
+  // Normalize a query sort into a list of { field, descending } sorters.
+  const sorters = function (sort) {
+    if (typeof sort === 'string') {
+      sort = sort.split(',')
+    }
+
+    return (sort || []).map(function (sorter) {
+      if (typeof sorter === 'string') {
+        sorter = sorter.trim()
+
+        return {
+          field: sorter.replace(/^[-+]/, ''),
+          descending: sorter.charAt(0) === '-'
+        }
+      }
+
+      return {
+        field: sorter.field,
+        descending: (sorter.direction || 'asc').toLowerCase() === 'desc'
+      }
+    })
+  }
+
+  // Built-in query serializers (see HttpProxy#querySerializer). Each one
+  // returns a list of [key, value] query string parameters.
+  const serializers = {
+    params: function (query) {
+      var params = conditions(query.filter).map(function (condition) {
+        var value = Array.isArray(condition.value) ? condition.value.join(',') : condition.value
+        return [condition.op === 'eq' || condition.op === 'in' ? condition.field : condition.field + '[' + condition.op + ']', value]
+      })
+
+      if (query.sort) {
+        params.push(['sort', sorters(query.sort).map(function (sorter) {
+          return (sorter.descending ? '-' : '') + sorter.field
+        }).join(',')])
+      }
+
+      if (query.limit !== undefined) {
+        params.push(['limit', query.limit])
+      }
+
+      if (query.offset !== undefined) {
+        params.push(['offset', query.offset])
+      }
+
+      if (query.fields) {
+        params.push(['fields', query.fields.join(',')])
+      }
+
+      return params
+    },
+
+    odata: function (query) {
+      var operators = { eq: 'eq', ne: 'ne', gt: 'gt', gte: 'ge', lt: 'lt', lte: 'le' }
+      var literal = function (value) {
+        return typeof value === 'string' ? '\'' + value.replace(/'/g, '\'\'') + '\'' : String(value)
+      }
+      var params = []
+      var filters = conditions(query.filter).map(function (condition) {
+        switch (condition.op) {
+          case 'in':
+            return '(' + condition.value.map(function (value) {
+              return condition.field + ' eq ' + literal(value)
+            }).join(' or ') + ')'
+
+          case 'contains':
+            return 'contains(' + condition.field + ',' + literal(condition.value) + ')'
+
+          default:
+            if (!operators.hasOwnProperty(condition.op)) {
+              throw new Error('Unsupported OData filter operator: ' + condition.op)
+            }
+
+            return condition.field + ' ' + operators[condition.op] + ' ' + literal(condition.value)
+        }
+      })
+
+      if (filters.length > 0) {
+        params.push(['$filter', filters.join(' and ')])
+      }
+
+      if (query.sort) {
+        params.push(['$orderby', sorters(query.sort).map(function (sorter) {
+          return sorter.field + (sorter.descending ? ' desc' : ' asc')
+        }).join(',')])
+      }
+
+      if (query.limit !== undefined) {
+        params.push(['$top', query.limit])
+      }
+
+      if (query.offset !== undefined) {
+        params.push(['$skip', query.offset])
+      }
+
+      if (query.fields) {
+        params.push(['$select', query.fields.join(',')])
+      }
+
+      return params
+    },
+
+    jsonapi: function (query) {
+      var params = conditions(query.filter).map(function (condition) {
+        var value = Array.isArray(condition.value) ? condition.value.join(',') : condition.value
+        return ['filter[' + condition.field + ']' + (condition.op === 'eq' || condition.op === 'in' ? '' : '[' + condition.op + ']'), value]
+      })
+
+      if (query.sort) {
+        params.push(['sort', sorters(query.sort).map(function (sorter) {
+          return (sorter.descending ? '-' : '') + sorter.field
+        }).join(',')])
+      }
+
+      if (query.limit !== undefined) {
+        params.push(['page[limit]', query.limit])
+      }
+
+      if (query.offset !== undefined) {
+        params.push(['page[offset]', query.offset])
+      }
+
+      if (Array.isArray(query.fields)) {
+        params.push([query.type ? 'fields[' + query.type + ']' : 'fields', query.fields.join(',')])
+      } else if (NGN.typeof(query.fields) === 'object') {
+        Object.keys(query.fields).forEach(function (type) {
+          params.push(['fields[' + type + ']', query.fields[type].join(',')])
+        })
+      }
+
+      return params
+    }
+  }
+
+  // Built-in pagination strategies (see HttpProxy#pagination).
+  const paginators = {
+    page: {
+      first: function (ctx) {
+        ctx.state.page = ctx.options.start
+        return param(param(ctx.url, ctx.options.pageParam, ctx.state.page), ctx.options.sizeParam, ctx.options.size)
+      },
+
+      next: function (ctx) {
+        if (ctx.records.length < ctx.options.size) {
+          return null
+        }
+
+        ctx.state.page++
+
+        return param(ctx.url, ctx.options.pageParam, ctx.state.page)
+      }
+    },
+
+    offset: {
+      first: function (ctx) {
+        ctx.state.offset = 0
+        return param(param(ctx.url, ctx.options.offsetParam, 0), ctx.options.sizeParam, ctx.options.size)
+      },
+
+      next: function (ctx) {
+        if (ctx.records.length < ctx.options.size) {
+          return null
+        }
+
+        ctx.state.offset += ctx.records.length
+
+        return param(ctx.url, ctx.options.offsetParam, ctx.state.offset)
+      }
+    },
+
+    cursor: {
+      first: function (ctx) {
+        return param(ctx.url, ctx.options.sizeParam, ctx.options.size)
+      },
+
+      next: function (ctx) {
+        var cursor = ctx.options.cursorHeader !== null
+          ? ctx.response.getResponseHeader(ctx.options.cursorHeader)
+          : resolve(ctx.body, ctx.options.cursorPath)
+
+        if (cursor === null || cursor === undefined || cursor === '') {
+          return null
+        }
+
+        return param(ctx.url, ctx.options.cursorParam, cursor)
+      }
+    },
+
+    link: {
+      first: function (ctx) {
+        return ctx.url
+      },
+
+      next: function (ctx) {
+        var header = ctx.response.getResponseHeader('Link') || ''
+        var links = header.split(',')
+
+        for (var i = 0; i < links.length; i++) {
+          var match = /<([^>]*)>\s*;.*rel="?([^";]*)"?/.exec(links[i])
+
+          if (match !== null && match[2].split(/\s+/).indexOf('next') >= 0) {
+            return match[1]
+          }
+        }
+
+        return null
+      }
+    }
+  }
+
+  const respond = NGNX.DATA.util.respond
+
   window.NGNX.DATA.HttpProxy = function (cfg) {
     cfg = cfg || {}
 
-    this.constructor(cfg)
-    var me = this
+    this.constructor(cfg)
+    var me = this
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {object} headers
+       * Provide custom HTTP headers that will be applied to every request.
+       */
+      headers: NGN.define(true, true, false, cfg.headers || {}),
+
+      /**
+       * @cfg {boolean|object} [bulk=false]
+       * Send one request per action type instead of one request per record.
+       * Set to `true` to use the defaults, or provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   bulk: {
+       *     changeset: false,
+       *     endpoint: {
+       *       create: '/batch',
+       *       update: '/batch',
+       *       delete: '/batch/delete'
+       *     },
+       *     map: function (body, action, models) {
+       *       return body.results
+       *     }
+       *   }
+       * })
+       * ```
+       *
+       * - `changeset` (default `false`): When `true`, a single `POST` is
+       * sent containing `{ create: [...], update: [...], delete: [...] }`.
+       * Created/updated records are sent as data, deleted records as IDs.
+       * Otherwise, creates are `POST`ed, updates are `PUT` and deletes are
+       * sent as a `DELETE`, each with an array body.
+       * - `endpoint` (default `''`): A path appended to the save URL. This
+       * may be an object keyed by action (`create`, `update`, `delete`).
+       * - `map`: A function that receives the parsed response body, the
+       * action and the array of models sent. It must return an array of
+       * per-record results in the same order as the models. By default, the
+       * body is used if it is an array. Otherwise the `[action]`, `results`
+       * or `data` attribute of the body is used.
+       *
+       * Each per-record result is either the data to apply to the model (such
+       * as a server-assigned `id`), or an object with a `status`, `data`
+       * and/or `error` attribute. Records with an `error` or a non-2xx
+       * `status` are reported as save errors.
+       */
+      bulk: NGN.privateconst(cfg.bulk ? {
+        changeset: NGN.coalesce(cfg.bulk.changeset, false),
+        endpoint: NGN.coalesce(cfg.bulk.endpoint, ''),
+        map: NGN.isFn(cfg.bulk.map) ? cfg.bulk.map : function (body, action) {
+          if (NGN.typeof(body) === 'object') {
+            body = NGN.coalesce(body[action], body.results, body.data)
+          }
+
+          return Array.isArray(body) ? body : []
+        }
+      } : null),
+
+      /**
+       * @cfg {Array} [interceptors]
+       * An ordered list of interceptors applied to every request made by
+       * this proxy. These run after the global interceptors added with the
+       * static `NGNX.DATA.HttpProxy.intercept()` method. An interceptor is
+       * an object with any of the following methods, each of which may
+       * return a value or a Promise:
+       *
+       * - `request(req)`: Receives the request configuration (`url`,
+       * `method`, `headers`, `json`, etc) before it is sent. Return a
+       * modified configuration, or nothing to keep the one received.
+       * - `response(res, req)`: Receives each 2xx response.
+       * - `error(res, req)`: Receives each non-2xx response. A status of
+       * `0` represents a network failure.
+       *
+       * `response` and `error` handlers may return a replacement response,
+       * which can be any object with a `status`, `responseText` and
+       * `getResponseHeader()` method. Returning nothing keeps the response
+       * received. Throwing an error rejects the operation.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   interceptors: [{
+       *     request: function (req) {
+       *       req.headers['X-Correlation-ID'] = NGN.DATA.util.GUID()
+       *       return req
+       *     }
+       *   }]
+       * })
+       * ```
+       *
+       * Interceptors run on every attempt, including #retry attempts.
+       */
+      interceptors: NGN.privateconst((cfg.interceptors || []).slice()),
+
+      /**
+       * @method intercept
+       * Add an interceptor to this proxy (see #interceptors).
+       * @param {object} interceptor
+       */
+      intercept: NGN.define(true, false, false, function (interceptor) {
+        this.interceptors.push(interceptor)
+      }),
+
+      /**
+       * @cfg {function} [tokenProvider]
+       * A function that returns the access token (or a Promise resolving
+       * with the token) to send with each request. When configured, this is
+       * used instead of the static `token`. It is also called by #fetch to
+       * determine whether a pending fetch uses the same token.
+       */
+      tokenProvider: NGN.privateconst(NGN.isFn(cfg.tokenProvider) ? cfg.tokenProvider : null),
+
+      /**
+       * @cfg {function} [refreshToken]
+       * A function that obtains a new access token when the server responds
+       * with `401 Unauthorized`. It receives the rejected token and must
+       * return the new token, or a Promise resolving with it.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   token: 'initial-token',
+       *   refreshToken: function (expiredToken) {
+       *     return MyAuth.refresh().then(function (session) {
+       *       return session.accessToken
+       *     })
+       *   }
+       * })
+       * ```
+       *
+       * The refresh function is only called once, no matter how many
+       * requests are rejected. Requests made while the token is being
+       * refreshed are paused, and every rejected request is sent again
+       * (once) with the new token. When a #tokenProvider is configured, it
+       * must provide the new token after the refresh. Otherwise the new token
+       * replaces the proxy `token`. If the refresh fails, the original
+       * `401` responses are processed as usual.
+       */
+      refreshToken: NGN.privateconst(NGN.isFn(cfg.refreshToken) ? cfg.refreshToken : null),
+
+      refreshing: NGN.private(null),
+
+      /**
+       * @method credential
+       * Identify the access token to send with a request.
+       * @returns {Promise}
+       * Resolves with the token, or `null` if there is no token.
+       * @private
+       */
+      credential: NGN.privateconst(function () {
+        if (this.tokenProvider === null) {
+          return Promise.resolve(NGN.coalesce(this.token, null))
+        }
+
+        return Promise.resolve(this.tokenProvider()).then(function (token) {
+          return NGN.coalesce(token, null)
+        })
+      }),
+
+      /**
+       * @method reauthorize
+       * Refresh the access token, unless it has already been refreshed
+       * since the rejected token was issued.
+       * @param {string} rejectedToken
+       * The token the server rejected.
+       * @returns {Promise}
+       * Resolves with the new token.
+       * @fires auth.refreshed
+       * Fired when the access token is refreshed. Receives the proxy URL.
+       * @fires auth.failed
+       * Fired when the access token cannot be refreshed. The payload
+       * contains the proxy `url` and the `error`.
+       * @private
+       */
+      reauthorize: NGN.privateconst(function (rejectedToken) {
+        if (this.refreshing !== null) {
+          return this.refreshing
+        }
+
+        return this.credential().then(function (token) {
+          if (token !== rejectedToken) {
+            return token
+          }
+
+          if (me.refreshing !== null) {
+            return me.refreshing
+          }
+
+          me.refreshing = Promise.resolve().then(function () {
+            return me.refreshToken(rejectedToken)
+          }).then(function (token) {
+            if (me.tokenProvider === null) {
+              me.token = token
+            }
+
+            me.refreshing = null
+
+            NGN.emit('auth.refreshed', me.url)
+
+            return token
+          }, function (err) {
+            me.refreshing = null
+
+            NGN.emit('auth.failed', {
+              url: me.url,
+              error: err
+            })
+
+            throw err
+          })
+
+          return me.refreshing
+        })
+      }),
+
+      /**
+       * @method dispatch
+       * Send a single request through the interceptor chain. Requests are
+       * paused while the access token is being refreshed, and requests
+       * rejected with a `401` are sent again once the token is refreshed
+       * (see #refreshToken).
+       * @param {object} req
+       * The request configuration, including the HTTP `method`.
+       * @param {boolean} [reauthorized=false]
+       * Indicates the request is being sent again with a refreshed token.
+       * @returns {Promise}
+       * Resolves with the (intercepted) response.
+       * @private
+       */
+      dispatch: NGN.privateconst(function (req, reauthorized) {
+        var chain = NGNX.DATA.HttpProxy.interceptors.concat(this.interceptors)
+        var token = null
+
+        var step = function (value, fn) {
+          return Promise.resolve(fn(value)).then(function (result) {
+            return result === undefined ? value : result
+          })
+        }
+
+        var authorized = (this.refreshing || Promise.resolve()).catch(function () {}).then(function () {
+          return me.credential()
+        }).then(function (credential) {
+          var current = copy(req)
+
+          token = credential
+
+          if (token !== null) {
+            current.accessToken = token
+          }
+
+          return current
+        })
+
+        var outbound = chain.reduce(function (promise, interceptor) {
+          if (!NGN.isFn(interceptor.request)) {
+            return promise
+          }
+
+          return promise.then(function (current) {
+            return step(current, interceptor.request)
+          })
+        }, authorized)
+
+        return outbound.then(function (current) {
+          var intercept = function (res) {
+            return chain.reduce(function (promise, interceptor) {
+              return promise.then(function (response) {
+                var fn = succeeded(response) || response.status === 304 ? interceptor.response : interceptor.error
+
+                if (!NGN.isFn(fn)) {
+                  return response
+                }
+
+                return step(response, function (value) {
+                  return fn(value, current)
+                })
+              })
+            }, Promise.resolve(res))
+          }
+
+          return send(current.method || 'GET', current).then(function (res) {
+            if (res.status === 401 && !reauthorized && me.refreshToken !== null) {
+              return me.reauthorize(token).then(function () {
+                return me.dispatch(req, true)
+              }, function () {
+                return intercept(res)
+              })
+            }
+
+            return intercept(res)
+          })
+        })
+      }),
+
+      /**
+       * @cfg {boolean|object} [retry=false]
+       * Retry failed requests using an exponential backoff. Set to `true` to
+       * use the defaults, or provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   retry: {
+       *     attempts: 3,
+       *     delay: 250,
+       *     factor: 2,
+       *     maxDelay: 10000,
+       *     statuses: [0, 408, 429, 500, 502, 503, 504],
+       *     methods: ['GET', 'HEAD', 'PUT', 'DELETE']
+       *   }
+       * })
+       * ```
+       *
+       * - `attempts`: The maximum number of times a request is sent.
+       * - `delay`: The number of milliseconds to wait before the first retry.
+       * - `factor`: The multiplier applied to the delay after each retry.
+       * - `maxDelay`: The longest delay between two attempts.
+       * - `statuses`: The HTTP status codes that will be retried. A status of
+       * `0` represents a network failure.
+       * - `methods`: The HTTP methods that will be retried. A `POST` or
+       * `PATCH` may have been processed even though the response failed, so
+       * sending it again could create a duplicate record. Only add them when
+       * the server handles repeated requests safely.
+       */
+      retry: NGN.privateconst(cfg.retry ? {
+        attempts: NGN.coalesce(cfg.retry.attempts, 3),
+        delay: NGN.coalesce(cfg.retry.delay, 250),
+        factor: NGN.coalesce(cfg.retry.factor, 2),
+        maxDelay: NGN.coalesce(cfg.retry.maxDelay, 10000),
+        statuses: NGN.coalesce(cfg.retry.statuses, [0, 408, 429, 500, 502, 503, 504]),
+        methods: NGN.coalesce(cfg.retry.methods, ['GET', 'HEAD', 'PUT', 'DELETE']).map(function (method) {
+          return method.toUpperCase()
+        })
+      } : null),
+
+      /**
+       * @cfg {boolean|object} [queue=false]
+       * Hold save requests in a persistent outbound queue while the browser
+       * is offline, or when a request cannot reach the server (after any
+       * #retry attempts). Queued requests are replayed in order when the
+       * browser comes back online. Set to `true` to use the defaults, or
+       * provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   queue: {
+       *     key: 'people.queue',
+       *     storage: window.sessionStorage
+       *   }
+       * })
+       * ```
+       *
+       * - `key`: The storage key of the queue. Defaults to
+       * `NGNX.HttpProxy.queue:` followed by the proxy URL.
+       * - `storage`: An object implementing `getItem` and `setItem`, such
+       * as `localStorage` (default). When no storage is available, the queue
+       * is only held in memory.
+       *
+       * Proxies with the same `key` share the queue. When the browser comes
+       * back online, the queue is replayed by the most recently created of
+       * these proxies.
+       */
+      queue: NGN.privateconst(cfg.queue ? {
+        key: NGN.coalesce(cfg.queue.key, 'NGNX.HttpProxy.queue:' + this.url),
+        storage: NGN.coalesce(cfg.queue.storage, window.localStorage),
+        entries: []
+      } : null),
+
+      replaying: NGN.private(null),
+
+      /**
+       * @property {Array} pending
+       * The save requests waiting in the outbound #queue.
+       * @readonly
+       */
+      pending: NGN._get(function () {
+        if (this.queue === null) {
+          return []
+        }
+
+        if (this.queue.storage) {
+          try {
+            return JSON.parse(this.queue.storage.getItem(this.queue.key) || '[]')
+          } catch (e) {
+            return []
+          }
+        }
+
+        return this.queue.entries.slice()
+      }),
+
+      /**
+       * @property {boolean} offline
+       * Indicates the browser has no network connection.
+       * @readonly
+       */
+      offline: NGN._get(function () {
+        return window.navigator !== undefined && window.navigator.onLine === false
+      }),
+
+      /**
+       * @method persistQueue
+       * Write the outbound queue to storage.
+       * @param {Array} entries
+       * @private
+       */
+      persistQueue: NGN.privateconst(function (entries) {
+        if (this.queue.storage) {
+          this.queue.storage.setItem(this.queue.key, JSON.stringify(entries))
+        } else {
+          this.queue.entries = entries
+        }
+      }),
+
+      /**
+       * @method enqueue
+       * Add a save request to the outbound queue.
+       * @param {object} req
+       * The request configuration.
+       * @param {string} action
+       * The save action (`create`, `update`, `delete` or `changeset`).
+       * @param {Array} ids
+       * The identifiers of the models affected by the request.
+       * @fires save.queued
+       * Fired with the queue entry.
+       * @private
+       */
+      enqueue: NGN.privateconst(function (req, action, ids) {
+        var entry = {
+          action: action,
+          ids: ids,
+          method: req.method,
+          url: req.url,
+          json: NGN.coalesce(req.json, null),
+          body: NGN.coalesce(req.body, null),
+          headers: NGN.coalesce(req.headers, {}),
+          queued: (new Date()).toISOString()
+        }
+
+        this.persistQueue(this.pending.concat([entry]))
+
+        NGN.emit('save.queued', entry)
+      }),
+
+      /**
+       * @method replay
+       * Send the queued save requests to the server, one at a time, in the
+       * order they were queued. This is run automatically when the browser
+       * comes back online. Requests that still cannot reach the server
+       * remain in the queue. Requests rejected by the server are removed
+       * from the queue and reported as a `save.error`.
+       * @returns {Promise}
+       * Resolves with the number of queued requests that were processed.
+       * @fires save.queue.progress
+       * Fired after each queued request is processed. The payload contains
+       * the `entry`, the response `status`, and the number of requests
+       * `completed`, `remaining` and `total`.
+       * @fires save.queue.complete
+       * Fired when the queue is empty. Receives the number of requests
+       * processed.
+       * @fires save.queue.stalled
+       * Fired when the server is unreachable and the replay is paused.
+       * Receives the number of requests remaining.
+       */
+      replay: NGN.privateconst(function () {
+        if (this.replaying !== null) {
+          return this.replaying
+        }
+
+        var total = this.pending.length
+
+        var next = function (completed) {
+          var entries = me.pending
+
+          if (entries.length === 0) {
+            NGN.emit('save.queue.complete', completed)
+            return completed
+          }
+
+          if (me.offline) {
+            NGN.emit('save.queue.stalled', entries.length)
+            return completed
+          }
+
+          var entry = entries[0]
+          var req = copy(me.options)
+
+          req.url = entry.url
+          req.method = entry.method
+
+          if (entry.json !== null) {
+            req.json = entry.json
+          }
+
+          if (NGN.coalesce(entry.body, null) !== null) {
+            req.body = entry.body
+          }
+
+          Object.keys(entry.headers || {}).forEach(function (header) {
+            req.headers[header] = entry.headers[header]
+          })
+
+          return me.transmit(req).then(function (res) {
+            if (res.status === 0) {
+              NGN.emit('save.queue.stalled', entries.length)
+              return completed
+            }
+
+            me.persistQueue(me.pending.slice(1))
+
+            if (!succeeded(res)) {
+              NGN.emit('save.error', {
+                message: res.responseText,
+                status: res.status,
+                action: entry.action,
+                model: null,
+                entry: entry,
+                error: new NGNX.DATA.HttpProxyError('Could not replay queued ' + entry.action + ' request (HTTP ' + res.status + ').', {
+                  status: res.status,
+                  body: parse(res),
+                  action: entry.action,
+                  response: res
+                })
+              })
+            }
+
+            completed++
+
+            NGN.emit('save.queue.progress', {
+              entry: entry,
+              status: res.status,
+              completed: completed,
+              remaining: Math.max(total - completed, 0),
+              total: total
+            })
+
+            return next(completed)
+          })
+        }
+
+        this.replaying = next(0).then(function (completed) {
+          me.replaying = null
+          return completed
+        }, function (err) {
+          me.replaying = null
+          throw err
+        })
+
+        return this.replaying
+      }),
+
+      /**
+       * @method transmit
+       * Send a request, applying the #retry policy.
+       * @param {object} req
+       * The request configuration, including the HTTP `method`.
+       * @returns {Promise}
+       * Resolves with the final response.
+       * @private
+       */
+      transmit: NGN.privateconst(function (req) {
+        var policy = this.retry
+        var attempt = 1
+
+        if (policy !== null && policy.methods.indexOf((req.method || 'GET').toUpperCase()) < 0) {
+          policy = null
+        }
+
+        var run = function () {
+          return me.dispatch(req).then(function (res) {
+            if (policy === null || attempt >= policy.attempts || policy.statuses.indexOf(res.status) < 0) {
+              return res
+            }
+
+            var delay = Math.min(policy.delay * Math.pow(policy.factor, attempt - 1), policy.maxDelay)
+
+            attempt++
+
+            return wait(delay).then(run)
+          })
+        }
+
+        return run()
+      }),
+
+      /**
+       * @method deliver
+       * Transmit a save request, or hold it in the outbound #queue when the
+       * server cannot be reached. Requests containing files are never
+       * queued.
+       * @param {object} req
+       * The request configuration.
+       * @param {string} action
+       * The save action.
+       * @param {Array} models
+       * The models affected by the request.
+       * @returns {Promise}
+       * Resolves with the response, or `null` if the request was queued.
+       * @private
+       */
+      deliver: NGN.privateconst(function (req, action, models) {
+        // Binary content cannot be persisted in the queue.
+        if (this.queue === null || req.binary) {
+          return this.transmit(req)
+        }
+
+        var ids = models.map(function (model) {
+          return me.identify(model)
+        })
+
+        if (this.offline) {
+          this.enqueue(req, action, ids)
+          return Promise.resolve(null)
+        }
+
+        return this.transmit(req).then(function (res) {
+          if (res.status === 0) {
+            me.enqueue(req, action, ids)
+            return null
+          }
+
+          return res
+        })
+      }),
+
+      /**
+       * @cfg {object} [upload]
+       * Models containing `File` or `Blob` values are sent as
+       * `multipart/form-data` (with other values as form fields, and
+       * objects as JSON strings). Upload progress is reported with the
+       * `save.progress` event. Large files can be uploaded separately in
+       * resumable chunks, using the [tus](https://tus.io) protocol, by
+       * providing the tus endpoint:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/documents',
+       *   upload: {
+       *     url: 'https://api.domain.com/uploads',
+       *     chunkSize: 5242880,
+       *     threshold: 10485760
+       *   }
+       * })
+       *
+       * NGN.BUS.on('save.progress', function (e) {
+       *   console.log(e.model.id, e.field, Math.round(e.loaded / e.total * 100) + '%')
+       * })
+       * ```
+       *
+       * - `url`: The tus endpoint used to create uploads. Chunked uploads
+       * are disabled without it.
+       * - `chunkSize` (default `5242880`, 5MB): The bytes sent per request.
+       * - `threshold` (default `chunkSize`): Files of this size or larger
+       * are uploaded in chunks.
+       *
+       * Once a chunked upload is complete, the file is replaced by the
+       * upload URL in the saved record. The progress of each upload is
+       * remembered in `localStorage`, so an interrupted upload resumes
+       * from the last chunk the server received the next time the record
+       * is saved.
+       */
+      upload: NGN.privateconst((function () {
+        var options = cfg.upload || {}
+        var size = NGN.coalesce(options.chunkSize, 5242880)
+
+        return {
+          url: NGN.coalesce(options.url, null),
+          chunkSize: size,
+          threshold: NGN.coalesce(options.threshold, size)
+        }
+      })()),
+
+      /**
+       * @method attachments
+       * Identify the fields of a record containing files.
+       * @param {object} data
+       * The record data.
+       * @returns {Array}
+       * The names of the fields containing a `File`/`Blob` (or an array
+       * containing them).
+       * @private
+       */
+      attachments: NGN.privateconst(function (data) {
+        if (NGN.typeof(data) !== 'object') {
+          return []
+        }
+
+        return Object.keys(data).filter(function (field) {
+          var value = data[field]
+          return binary(value) || (Array.isArray(value) && value.some(binary))
+        })
+      }),
+
+      /**
+       * @method stage
+       * Prepare a save request containing files. Large files are uploaded
+       * in chunks (see #upload) and the remaining files are encoded as
+       * `multipart/form-data`.
+       * @param {object} req
+       * The request configuration.
+       * @param {string} action
+       * @param {NGN.DATA.Model} model
+       * @returns {Promise}
+       * Resolves with an object containing the `request` to send, or the
+       * `response` of a chunked upload that failed.
+       * @fires save.progress
+       * Fired with the `action`, `model`, `field` (`null` for
+       * `multipart/form-data` requests), and the bytes `loaded` and `total`
+       * as files are uploaded.
+       * @private
+       */
+      stage: NGN.privateconst(function (req, action, model) {
+        var fields = req.json !== undefined ? this.attachments(req.json) : []
+
+        if (fields.length === 0) {
+          return Promise.resolve({ request: req })
+        }
+
+        var progress = function (field) {
+          return function (loaded, total) {
+            NGN.emit('save.progress', {
+              action: action,
+              model: model,
+              field: field,
+              loaded: loaded,
+              total: total
+            })
+          }
+        }
+
+        var chunked = this.upload.url === null ? [] : fields.filter(function (field) {
+          return binary(req.json[field]) && req.json[field].size >= me.upload.threshold
+        })
+
+        var uploads = chunked.reduce(function (promise, field) {
+          return promise.then(function (failure) {
+            if (failure !== null) {
+              return failure
+            }
+
+            return me.resumable(req.json[field], field, req.ticket, progress(field)).then(function (result) {
+              if (result.location === null) {
+                return result.response
+              }
+
+              req.json[field] = result.location
+              return null
+            })
+          })
+        }, Promise.resolve(null))
+
+        return uploads.then(function (failure) {
+          if (failure !== null) {
+            return { response: failure }
+          }
+
+          var remaining = fields.filter(function (field) {
+            return chunked.indexOf(field) < 0
+          })
+
+          if (remaining.length === 0) {
+            return { request: req }
+          }
+
+          var form = new window.FormData()
+
+          Object.keys(req.json).forEach(function (field) {
+            var value = req.json[field]
+
+            ;(Array.isArray(value) && value.some(binary) ? value : [value]).forEach(function (item) {
+              if (binary(item)) {
+                form.append(field, item, item.name || field)
+              } else if (item !== null && item !== undefined) {
+                form.append(field, typeof item === 'object' ? JSON.stringify(item) : String(item))
+              }
+            })
+          })
+
+          delete req.json
+          delete req.headers['Content-Type']
+
+          req.body = form
+          req.binary = true
+          req.progress = progress(null)
+
+          return { request: req }
+        })
+      }),
+
+      /**
+       * @method resumable
+       * Upload a file in chunks using the [tus](https://tus.io) protocol,
+       * resuming a previous upload of the same file when possible.
+       * @param {Blob} file
+       * @param {string} field
+       * The model field containing the file.
+       * @param {object} ticket
+       * The cancellation ticket of the save operation.
+       * @param {function} progress
+       * Receives the bytes loaded and total.
+       * @returns {Promise}
+       * Resolves with an object containing the upload `location` (or
+       * `null` if the upload failed) and the last `response`.
+       * @private
+       */
+      resumable: NGN.privateconst(function (file, field, ticket, progress) {
+        var key = 'ngnx.upload.' + [this.upload.url, file.name, file.size, file.lastModified].join('|')
+        var storage = null
+
+        try {
+          storage = window.localStorage
+        } catch (e) {}
+
+        var request = function (method, url, headers, body) {
+          var req = copy(me.options)
+
+          delete req.headers['Content-Type']
+
+          req.method = method
+          req.url = url
+          req.binary = true
+          req.ticket = ticket
+          req.headers['Tus-Resumable'] = '1.0.0'
+
+          Object.keys(headers).forEach(function (header) {
+            req.headers[header] = headers[header]
+          })
+
+          if (body !== undefined) {
+            req.body = body
+          }
+
+          return req
+        }
+
+        var offsetOf = function (res) {
+          return parseInt(res.getResponseHeader('Upload-Offset'), 10)
+        }
+
+        // Resume a known upload, or create a new one.
+        var start = function () {
+          var location = storage !== null ? storage.getItem(key) : null
+
+          var create = function () {
+            return me.transmit(request('POST', me.upload.url, {
+              'Upload-Length': String(file.size),
+              'Upload-Metadata': 'filename ' + window.btoa(unescape(encodeURIComponent(file.name || field))) + ',field ' + window.btoa(field)
+            })).then(function (res) {
+              var created = succeeded(res) ? res.getResponseHeader('Location') : null
+
+              if (created === null) {
+                return { location: null, response: res }
+              }
+
+              if (typeof window.URL === 'function') {
+                created = new window.URL(created, me.upload.url).toString()
+              }
+
+              if (storage !== null) {
+                storage.setItem(key, created)
+              }
+
+              return { location: created, offset: 0 }
+            })
+          }
+
+          if (location === null) {
+            return create()
+          }
+
+          return me.transmit(request('HEAD', location, {})).then(function (res) {
+            if (!succeeded(res) || isNaN(offsetOf(res))) {
+              storage.removeItem(key)
+              return create()
+            }
+
+            return { location: location, offset: offsetOf(res) }
+          })
+        }
+
+        var send = function (state) {
+          if (state.location === null || state.offset >= file.size) {
+            return Promise.resolve(state)
+          }
+
+          var chunk = file.slice(state.offset, state.offset + me.upload.chunkSize)
+          var req = request('PATCH', state.location, {
+            'Upload-Offset': String(state.offset),
+            'Content-Type': 'application/offset+octet-stream'
+          }, chunk)
+
+          req.progress = function (loaded) {
+            progress(state.offset + loaded, file.size)
+          }
+
+          return me.transmit(req).then(function (res) {
+            if (!succeeded(res) || !(offsetOf(res) > state.offset)) {
+              return { location: null, response: res }
+            }
+
+            progress(offsetOf(res), file.size)
+
+            return send({ location: state.location, offset: offsetOf(res) })
+          })
+        }
+
+        return start().then(send).then(function (state) {
+          if (state.location !== null && storage !== null) {
+            storage.removeItem(key)
+          }
+
+          return {
+            location: state.location,
+            response: NGN.coalesce(state.response, null)
+          }
+        })
+      }),
+
+      /**
+       * @cfg {string} [idField=id]
+       * The model attribute used to identify a record in update and delete
+       * requests. This is the value substituted for `{id}` in #routes.
+       */
+      idField: NGN.privateconst(cfg.idField || 'id'),
+
+      /**
+       * @cfg {object} [routes]
+       * The URL template and HTTP method used for each save action. A route
+       * may be a URL template string or an object with a `url` and/or
+       * `method`. The defaults are:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   routes: {
+       *     create: { url: '{base}', method: 'POST' },
+       *     update: { url: '{base}/{id}', method: 'PUT' },
+       *     delete: { url: '{base}/{id}', method: 'DELETE' }
+       *   }
+       * })
+       * ```
+       *
+       * `{base}` is replaced with the proxy URL (plus any path passed to
+       * #save), `{id}` with the value of the model's #idField. Any other
+       * `{name}` is replaced with the value of the model field of the same
+       * name. All values except `{base}` are URI encoded. For example,
+       * `{ update: '{base}?id={id}' }` updates records using a query string.
+       */
+      routes: NGN.privateconst((function () {
+        var routes = {
+          create: { url: '{base}', method: 'POST' },
+          update: { url: '{base}/{id}', method: 'PUT' },
+          delete: { url: '{base}/{id}', method: 'DELETE' }
+        }
+
+        Object.keys(cfg.routes || {}).forEach(function (action) {
+          var route = typeof cfg.routes[action] === 'string' ? { url: cfg.routes[action] } : cfg.routes[action]
+
+          routes[action] = {
+            url: NGN.coalesce(route.url, routes[action].url),
+            method: NGN.coalesce(route.method, routes[action].method).toUpperCase()
+          }
+        })
+
+        return routes
+      })()),
+
+      /**
+       * @method identify
+       * Returns the identifier of a model, as determined by #idField.
+       * @param {NGN.DATA.Model} model
+       * @returns {any}
+       * @private
+       */
+      identify: NGN.privateconst(function (model) {
+        return NGN.coalesce(model[this.idField], model.id)
+      }),
+
+      /**
+       * @method buildRequest
+       * Generate a new request configuration for saving a single model, as
+       * defined by #routes.
+       * @param {string} action
+       * The save action (`create`, `update` or `delete`).
+       * @param {NGN.DATA.Model} model
+       * The model being saved.
+       * @param {string} [path]
+       * The path appended to the proxy URL.
+       * @returns {object}
+       * A request configuration (with a `method`) for NGN.NET.
+       * @private
+       */
+      buildRequest: NGN.privateconst(function (action, model, path) {
+        var req = copy(this.options)
+        var base = req.url + (path || '')
+        var route = this.routes[action]
+
+        req.method = route.method
+        req.url = route.url.replace(/\{([^{}]+)\}/g, function (match, key) {
+          if (key === 'base') {
+            return base
+          }
+
+          var value = key === 'id' ? me.identify(model) : model[key]
+
+          return encodeURIComponent(NGN.coalesce(value, ''))
+        })
+
+        if (action !== 'delete') {
+          req.json = model.data
+        }
+
+        if (action === 'update' && this.patch !== null && this.attachments(model.data).length === 0) {
+          var patch = this.diff(model)
+
+          if (patch !== null) {
+            delete req.json
+            req.method = 'PATCH'
+            req.headers['Content-Type'] = this.patch === 'json' ? 'application/json-patch+json' : 'application/merge-patch+json'
+            req.body = JSON.stringify(patch)
+          }
+        }
+
+        var version = action === 'create' ? null : this.versionOf(model)
+
+        if (version !== null) {
+          req.headers['If-Match'] = version
+        }
+
+        if (this.transformRequest !== null) {
+          req = NGN.coalesce(this.transformRequest(req, action, model), req)
+        }
+
+        return req
+      }),
+
+      /**
+       * @cfg {function} [transformRequest]
+       * A function that receives the request configuration, action
+       * (`create`, `update` or `delete`) and model of every record saved
+       * individually, returning the request configuration to send instead.
+       * This runs after #routes, #patch and #concurrency are applied.
+       * It is not used in #bulk mode.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   transformRequest: function (req, action, model) {
+       *     if (req.json) {
+       *       req.json = { person: req.json }
+       *     }
+       *
+       *     return req
+       *   }
+       * })
+       * ```
+       */
+      transformRequest: NGN.privateconst(NGN.isFn(cfg.transformRequest) ? cfg.transformRequest : null),
+
+      /**
+       * @cfg {function} [transformSaveResponse]
+       * A function that receives the parsed body of every successful
+       * `create` or `update` response (for records saved individually),
+       * along with the action and model. The object it returns is applied
+       * to the model, which is useful for accepting server-assigned IDs or
+       * computed fields. Return `null` to leave the model unchanged.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   transformSaveResponse: function (body, action, model) {
+       *     return body.person
+       *   }
+       * })
+       * ```
+       */
+      transformSaveResponse: NGN.privateconst(NGN.isFn(cfg.transformSaveResponse) ? cfg.transformSaveResponse : null),
+
+      /**
+       * @cfg {function} [transformError]
+       * A function that receives the parsed body and raw response of every
+       * failed save or fetch, returning an object describing the error. The
+       * object is available as the NGNX.DATA.HttpProxyError#details and is
+       * merged into the `save.error` event payload. A `message` attribute
+       * replaces the default error message.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   transformError: function (body, response) {
+       *     return {
+       *       message: body.error.description,
+       *       code: body.error.code
+       *     }
+       *   }
+       * })
+       * ```
+       */
+      transformError: NGN.privateconst(NGN.isFn(cfg.transformError) ? cfg.transformError : null),
+
+      /**
+       * @method describe
+       * Apply #transformError to a failed response body.
+       * @param {any} body
+       * The parsed response body.
+       * @param {XMLHttpRequest} res
+       * The response.
+       * @returns {object}
+       * The error details, or `null` if there are none.
+       * @private
+       */
+      describe: NGN.privateconst(function (body, res) {
+        if (this.transformError === null) {
+          return null
+        }
+
+        var details = this.transformError(body, res)
+
+        return NGN.typeof(details) === 'object' ? details : null
+      }),
+
+      /**
+       * @cfg {boolean|string} [patch=false]
+       * Send updates as a `PATCH` containing only the fields that changed
+       * since the record was loaded or last saved, as recorded in the
+       * model's change history. Set to `merge` (or `true`) for a
+       * [JSON Merge Patch](https://tools.ietf.org/html/rfc7386) or `json`
+       * for a [JSON Patch](https://tools.ietf.org/html/rfc6902):
+       *
+       * ```js
+       * // PATCH /people/1 { "email": "me@domain.com" }
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   patch: 'merge'
+       * })
+       *
+       * // PATCH /people/1 [{ "op": "replace", "path": "/email", "value": "me@domain.com" }]
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   patch: 'json'
+       * })
+       * ```
+       *
+       * The `update` URL of #routes is used. If the change history is not
+       * available or contains no changes, the full record is sent using the
+       * `update` route. Patches are not used in #bulk mode.
+       */
+      patch: NGN.privateconst(cfg.patch ? (cfg.patch === 'json' ? 'json' : 'merge') : null),
+
+      synced: NGN.private({}),
+
+      /**
+       * @method changelog
+       * Retrieve the change history of a model, oldest first.
+       * @param {NGN.DATA.Model} model
+       * @returns {Array}
+       * The change entries, or `null` if the model has no change history.
+       * @private
+       */
+      changelog: NGN.privateconst(function (model) {
+        if (Array.isArray(model.changelog)) {
+          return model.changelog
+        }
+
+        if (Array.isArray(model.history)) {
+          return model.history.slice().reverse()
+        }
+
+        return null
+      }),
+
+      /**
+       * @method diff
+       * Generate a #patch document containing the changes made to a model
+       * since it was last synchronized.
+       * @param {NGN.DATA.Model} model
+       * @returns {Object|Array}
+       * The patch, or `null` if no changes are recorded.
+       * @private
+       */
+      diff: NGN.privateconst(function (model) {
+        var log = this.changelog(model)
+
+        if (log === null) {
+          return null
+        }
+
+        var id = this.identify(model)
+        var changes = log.slice(Math.min(NGN.coalesce(this.synced[id], 0), log.length))
+        var data = model.data
+        var original = {}
+
+        changes.forEach(function (change) {
+          if (change.field !== undefined && !original.hasOwnProperty(change.field)) {
+            original[change.field] = change.old
+          }
+        })
+
+        var fields = Object.keys(original)
+
+        if (fields.length === 0) {
+          return null
+        }
+
+        if (this.patch === 'merge') {
+          var merge = {}
+
+          fields.forEach(function (field) {
+            merge[field] = data[field] === undefined ? null : data[field]
+          })
+
+          return merge
+        }
+
+        return fields.map(function (field) {
+          var op = {
+            op: data[field] === undefined ? 'remove' : (original[field] === undefined ? 'add' : 'replace'),
+            path: '/' + field.replace(/~/g, '~0').replace(/\//g, '~1')
+          }
+
+          if (op.op !== 'remove') {
+            op.value = data[field]
+          }
+
+          return op
+        })
+      }),
+
+      /**
+       * @cfg {boolean|object} [concurrency=false]
+       * Enable optimistic concurrency control. Updates and deletes are sent
+       * with an `If-Match` header containing the last known version of the
+       * record. When the server responds with `412 Precondition Failed`, the
+       * current server version of the record is retrieved and a
+       * `save.conflict` event is fired. Set to `true` to use ETags only, or
+       * provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   concurrency: {
+       *     versionField: 'version',
+       *     resolve: function (conflict) {
+       *       // Keep the local changes, but accept the server's email.
+       *       let data = conflict.local
+       *       data.email = conflict.server.email
+       *       return data
+       *     }
+       *   }
+       * })
+       * ```
+       *
+       * - `versionField` (default `null`): A model field containing the
+       * record version. This is used when no ETag is known for the record.
+       * ETags are captured from the responses of successful saves and of
+       * fetches returning a single record. Versions in fetched records
+       * replace any ETag captured earlier.
+       * - `resolve` (default `null`): A function that receives the conflict
+       * (the same payload as the `save.conflict` event) and returns (or
+       * resolves with) one of the following:
+       *   - `'server'`: Discard the local changes and apply the server data
+       *   to the model.
+       *   - `'client'`: Send the local changes again, overwriting the server.
+       *   - An object: Apply the merged data to the model and send it again.
+       *   - Anything else: The conflict is reported as a save error.
+       *
+       * Without a `resolve` function, conflicts are reported as save errors.
+       */
+      concurrency: NGN.privateconst(cfg.concurrency ? {
+        versionField: NGN.coalesce(cfg.concurrency.versionField, null),
+        resolve: NGN.isFn(cfg.concurrency.resolve) ? cfg.concurrency.resolve : null
+      } : null),
+
+      versions: NGN.private({}),
+
+      /**
+       * @method versionOf
+       * Identify the last known version (ETag or #concurrency version
+       * field) of a record.
+       * @param {NGN.DATA.Model} model
+       * @returns {string}
+       * The version, or `null` if it is unknown or concurrency control is
+       * not enabled.
+       * @private
+       */
+      versionOf: NGN.privateconst(function (model) {
+        if (this.concurrency === null) {
+          return null
+        }
+
+        var id = this.identify(model)
+
+        if (this.versions.hasOwnProperty(id)) {
+          return this.versions[id]
+        }
+
+        if (this.concurrency.versionField !== null) {
+          var version = NGN.coalesce(model[this.concurrency.versionField], null)
+          return version === null ? null : String(version)
+        }
+
+        return null
+      }),
+
+      /**
+       * @method track
+       * Remember the version of a record returned by the server.
+       * @param {NGN.DATA.Model} model
+       * @param {XMLHttpRequest} res
+       * @private
+       */
+      track: NGN.privateconst(function (model, res) {
+        if (this.concurrency === null || !succeeded(res)) {
+          return
+        }
+
+        var etag = NGN.isFn(res.getResponseHeader) ? res.getResponseHeader('ETag') : null
+        var body = parse(res)
+
+        if (this.concurrency.versionField !== null && NGN.typeof(body) === 'object' && body.hasOwnProperty(this.concurrency.versionField)) {
+          model[this.concurrency.versionField] = body[this.concurrency.versionField]
+        }
+
+        var id = this.identify(model)
+
+        // A new record without a server-assigned ID cannot be tracked.
+        if (id === null || id === undefined) {
+          return
+        }
+
+        if (etag) {
+          this.versions[id] = etag
+        } else {
+          delete this.versions[id]
+        }
+      }),
+
+      /**
+       * @method observe
+       * Remember the record versions contained in a fetched page. A record
+       * with a #concurrency version field replaces any ETag captured
+       * earlier, because the fetched data is newer. A response containing
+       * a single record (instead of an array) is versioned by its `ETag`.
+       * @param {object} page
+       * The page, as returned by #interpret.
+       * @private
+       */
+      observe: NGN.privateconst(function (page) {
+        if (this.concurrency === null) {
+          return
+        }
+
+        var versionField = this.concurrency.versionField
+        var identify = function (record) {
+          return NGN.typeof(record) === 'object' ? NGN.coalesce(record[me.idField], record.id) : null
+        }
+
+        if (page.records === null) {
+          var id = identify(page.body)
+          var etag = NGN.isFn(page.response.getResponseHeader) ? page.response.getResponseHeader('ETag') : null
+
+          if (etag && id !== null && id !== undefined) {
+            this.versions[id] = etag
+          }
+
+          return
+        }
+
+        page.records.forEach(function (record) {
+          var id = identify(record)
+
+          if (id !== null && id !== undefined && versionField !== null && record.hasOwnProperty(versionField)) {
+            me.versions[id] = String(record[versionField])
+          }
+        })
+      }),
+
+      /**
+       * @method reconcile
+       * Handle a `412 Precondition Failed` response to an update or delete.
+       * @param {string} action
+       * The save action (`update` or `delete`).
+       * @param {NGN.DATA.Model} model
+       * The model that could not be saved.
+       * @param {XMLHttpRequest} res
+       * The `412` response.
+       * @param {string} [path]
+       * The path passed to #save.
+       * @param {Ticket} [ticket]
+       * The cancellation ticket of the save.
+       * @returns {Promise}
+       * Resolves with an object containing the final `response` and the
+       * `resolution` (`server`, `client`, `merge` or `null`).
+       * @fires save.conflict
+       * Fired with an object containing the `action`, the `model`, the
+       * `local` data, the `server` data and `version` (both `null` if the
+       * record could not be retrieved) and the `412` `response`.
+       * @private
+       */
+      reconcile: NGN.privateconst(function (action, model, res, path, ticket) {
+        var req = this.buildRequest('update', model, path)
+
+        req.ticket = ticket
+        req.method = 'GET'
+
+        delete req.json
+        delete req.headers['If-Match']
+
+        return this.transmit(req).then(function (current) {
+          var server = succeeded(current) ? parse(current) : null
+          var version = null
+
+          if (server !== null) {
+            version = NGN.isFn(current.getResponseHeader) ? current.getResponseHeader('ETag') : null
+
+            if (!version && me.concurrency.versionField !== null && NGN.typeof(server) === 'object') {
+              version = NGN.coalesce(server[me.concurrency.versionField], null)
+            }
+          }
+
+          var conflict = {
+            action: action,
+            model: model,
+            local: model.data,
+            server: server,
+            version: version,
+            response: res
+          }
+
+          NGN.emit('save.conflict', conflict)
+
+          if (me.concurrency.resolve === null || server === null) {
+            return { response: res, resolution: null }
+          }
+
+          return Promise.resolve(me.concurrency.resolve(conflict)).then(function (resolution) {
+            if (resolution === 'server') {
+              if (action === 'update') {
+                apply(model, server)
+              }
+
+              me.track(model, current)
+
+              return { response: current, resolution: 'server' }
+            }
+
+            if (resolution !== 'client' && NGN.typeof(resolution) !== 'object') {
+              return { response: res, resolution: null }
+            }
+
+            if (resolution !== 'client') {
+              apply(model, resolution)
+            }
+
+            var retry = me.buildRequest(action, model, path)
+
+            retry.ticket = ticket
+
+            if (version !== null) {
+              retry.headers['If-Match'] = String(version)
+            }
+
+            return me.transmit(retry).then(function (response) {
+              return { response: response, resolution: resolution === 'client' ? 'client' : 'merge' }
+            })
+          })
+        })
+      }),
+
+      /**
+       * @property options
+       * The request option values.
+       * @readonly
+       * @private
+       */
+      options: NGN._get(function () {
+        var req = {
+          url: this.url,
+          headers: this.headers
+        }
+        if (this.token) {
+          req.accessToken = this.token
+        }
+        if (this.username) {
+          req.username = this.username
+        }
+        if (this.password) {
+          req.password = this.password
+        }
+        if (this.username && this.password) {
+          req.withCredentials = true
+        }
+        return req
+      }),
+
+      /**
+       * @method save
+       * Persist all created, updated and deleted records to the remote server.
+       *
+       * ```js
+       * MyStore.proxy.save().then(function (result) {
+       *   console.log(result.created, result.updated, result.deleted)
+       * }).catch(function (err) {
+       *   console.log(err.status, err.body, err.model)
+       * })
+       * ```
+       * @param  {string} [path]
+       * The path on which save operations should occur.
+       * @param {function} [callback]
+       * An optional callback to execute when the save is complete.
+       * @param {NGNX.DATA.HttpProxyError} callback.error
+       * The first error encountered, or `null` if every request succeeded.
+       * @param {object} callback.result
+       * The same result object the promise resolves with.
+       * @returns {Promise}
+       * Resolves with an object containing the number of records `created`,
+       * `updated`, `deleted`, `queued` (see #queue) and the number of
+       * `conflicts` resolved (see #concurrency), plus a `responses` array
+       * with the `action`, `status` and `model` of each request. If any request fails, the
+       * promise is rejected with a NGNX.DATA.HttpProxyError once all requests
+       * have completed. The error has an `errors` attribute containing every
+       * failure and a `result` attribute containing the partial result.
+       * The Promise has a `cancel()` method (see #cancel).
+       * @fires save.error
+       * Fired when a non-2xx response code is received from the
+       * remote server when trying to save data.
+       * @fires save.queued
+       * Fired when a request is held in the outbound #queue.
+       * @fires save.conflict
+       * Fired when an update or delete conflicts with a newer version of the
+       * record on the server (see #concurrency).
+       */
+      save: NGN.define(true, false, true, function (path, callback) {
+        if (typeof path === 'function') {
+          callback = path
+          path = ''
+        }
+
+        return this.persist(this.actions, path, callback)
+      }),
+
+      /**
+       * @method persist
+       * Persist the specified created, updated and deleted records instead
+       * of the pending changes of the store (see #save). NGNX.DATA.OfflineProxy
+       * uses this to send its change log.
+       *
+       * ```js
+       * MyStore.proxy.persist({
+       *   create: [],
+       *   update: [person],
+       *   delete: []
+       * }).then(function (result) {
+       *   result.responses.forEach(function (response) {
+       *     console.log(response.model === person, response.status)
+       *   })
+       * })
+       * ```
+       * @param {object} actions
+       * The `create`, `update` and `delete` arrays of models. Each model must
+       * have a `data` attribute and the #idField.
+       * @param {string} [path]
+       * The path on which save operations should occur.
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves (or rejects) with the same result as #save. The
+       * `responses` array contains an entry for each model with the
+       * `action`, the response `status` (`null` when the request is held in
+       * the #queue), the `model` object that was passed in, `queued: true`
+       * when the request is held in the #queue and `resolution: 'server'`
+       * when a conflict was resolved in favor of the server (see
+       * #concurrency). The Promise has a `cancel()` method.
+       */
+      persist: NGN.define(true, false, true, function (actions, path, callback) {
+        if (typeof path === 'function') {
+          callback = path
+          path = ''
+        }
+
+        var result = {
+          created: 0,
+          updated: 0,
+          deleted: 0,
+          queued: 0,
+          conflicts: 0,
+          responses: []
+        }
+        var counters = {
+          create: 'created',
+          update: 'updated',
+          delete: 'deleted'
+        }
+        var errors = []
+
+        var complete = function (action, model, res, status, body, failed) {
+          result.responses.push({
+            action: action,
+            status: status,
+            model: model
+          })
+
+          if (failed || !(status >= 200 && status < 300)) {
+            var details = me.describe(body, res)
+            var err = new NGNX.DATA.HttpProxyError(NGN.coalesce(details && details.message, 'Could not ' + action + ' record (HTTP ' + status + ').'), {
+              status: status,
+              body: body,
+              action: action,
+              model: model,
+              response: res,
+              details: details
+            })
+
+            errors.push(err)
+
+            var payload = {
+              message: typeof body === 'string' ? body : JSON.stringify(body),
+              status: status,
+              action: action,
+              model: model,
+              error: err
+            }
+
+            if (details !== null) {
+              Object.keys(details).forEach(function (key) {
+                payload[key] = details[key]
+              })
+            }
+
+            NGN.emit('save.error', payload)
+
+            return
+          }
+
+          result[counters[action]]++
+        }
+
+        // Record models held in the outbound queue.
+        var hold = function (action, models) {
+          models.forEach(function (model) {
+            result.queued++
+            result.responses.push({
+              action: action,
+              status: null,
+              model: model,
+              queued: true
+            })
+          })
+        }
+
+        var increment = function (action, model) {
+          return function (res) {
+            if (res === null) {
+              return hold(action, [model])
+            }
+
+            complete(action, model, res, res.status, parse(res))
+          }
+        }
+
+        // Map the per-record results of a bulk response onto each model.
+        var settle = function (action, models) {
+          return function (res) {
+            if (res === null) {
+              return hold(action, models)
+            }
+
+            if (!succeeded(res)) {
+              models.forEach(function (model) {
+                complete(action, model, res, res.status, parse(res))
+              })
+
+              return
+            }
+
+            var results = me.bulk.map(parse(res), action, models) || []
+
+            models.forEach(function (model, index) {
+              var entry = results[index]
+              var status = res.status
+              var failed = false
+
+              if (NGN.typeof(entry) === 'object' && (entry.hasOwnProperty('status') || entry.hasOwnProperty('error'))) {
+                status = NGN.coalesce(entry.status, status)
+                failed = NGN.coalesce(entry.error, null) !== null
+                entry = failed ? entry.error : entry.data
+              }
+
+              if (!failed && action !== 'delete') {
+                apply(model, entry)
+              }
+
+              complete(action, model, res, status, entry, failed)
+            })
+          }
+        }
+
+        return respond(this.operation('save', function (ticket) {
+          var requests = []
+
+          if (me.bulk !== null) {
+            var endpoint = function (action) {
+              var bulkreq = copy(me.options)
+              bulkreq.method = 'POST'
+              bulkreq.ticket = ticket
+              bulkreq.url += (path || '') + (NGN.typeof(me.bulk.endpoint) === 'object' ? NGN.coalesce(me.bulk.endpoint[action], '') : me.bulk.endpoint)
+              return bulkreq
+            }
+
+            if (me.bulk.changeset) {
+              var changereq = endpoint('changeset')
+              changereq.json = {
+                create: actions.create.map(function (model) { return model.data }),
+                update: actions.update.map(function (model) { return model.data }),
+                delete: actions.delete.map(function (model) { return me.identify(model) })
+              }
+
+              if (actions.create.length + actions.update.length + actions.delete.length > 0) {
+                requests.push(me.deliver(changereq, 'changeset', actions.create.concat(actions.update, actions.delete)).then(function (res) {
+                  settle('create', actions.create)(res)
+                  settle('update', actions.update)(res)
+                  settle('delete', actions.delete)(res)
+                }))
+              }
+            } else {
+              var methods = {
+                create: 'POST',
+                update: 'PUT',
+                delete: 'DELETE'
+              }
+
+              Object.keys(methods).forEach(function (action) {
+                if (actions[action].length === 0) {
+                  return
+                }
+
+                var bulkreq = endpoint(action)
+                bulkreq.method = methods[action]
+                bulkreq.json = actions[action].map(function (model) {
+                  return action === 'delete' ? me.identify(model) : model.data
+                })
+
+                requests.push(me.deliver(bulkreq, action, actions[action]).then(settle(action, actions[action])))
+              })
+            }
+          } else {
+            Object.keys(counters).forEach(function (action) {
+              actions[action].forEach(function (model) {
+                var req = me.buildRequest(action, model, path)
+                req.ticket = ticket
+
+                requests.push(me.stage(req, action, model).then(function (staged) {
+                  return staged.response !== undefined ? staged.response : me.deliver(staged.request, action, [model])
+                }).then(function (res) {
+                  if (res === null || res.status !== 412 || action === 'create' || me.concurrency === null) {
+                    return res
+                  }
+
+                  return me.reconcile(action, model, res, path, ticket).then(function (outcome) {
+                    if (outcome.resolution !== null) {
+                      result.conflicts++
+                    }
+
+                    if (outcome.resolution === 'server') {
+                      result.responses.push({
+                        action: action,
+                        status: outcome.response.status,
+                        model: model,
+                        resolution: 'server'
+                      })
+
+                      return undefined
+                    }
+
+                    return outcome.response
+                  })
+                }).then(function (res) {
+                  if (res !== undefined) {
+                    if (res !== null) {
+                      // Apply the response first, so server-assigned IDs are
+                      // known when the version is tracked.
+                      if (action !== 'delete' && succeeded(res) && me.transformSaveResponse !== null) {
+                        apply(model, me.transformSaveResponse(parse(res), action, model))
+                      }
+
+                      me.track(model, res)
+
+                      if (action === 'update' && succeeded(res)) {
+                        var log = me.changelog(model)
+                        me.synced[me.identify(model)] = log === null ? 0 : log.length
+                      }
+                    }
+
+                    increment(action, model)(res)
+                  }
+                }))
+              })
+            })
+          }
+
+          return Promise.all(requests).then(function () {
+            if (result.created + result.updated + result.deleted > 0) {
+              me.clearCache()
+            }
+
+            if (errors.length > 0) {
+              errors[0].errors = errors
+              errors[0].result = result
+
+              throw errors[0]
+            }
+
+            return result
+          })
+        }), callback)
+      }),
+
+      /**
+       * @cfg {string|object} [pagination]
+       * Retrieve paginated data sets. This may be the name of a built-in
+       * strategy or an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   pagination: {
+       *     strategy: 'page',
+       *     size: 50,
+       *     all: false
+       *   }
+       * })
+       *
+       * MyStore.proxy.fetch().then(function () {
+       *   if (MyStore.proxy.hasMore) {
+       *     MyStore.proxy.next() // Appends the next page to the store.
+       *   }
+       * })
+       * ```
+       *
+       * - `strategy` (default `page`): The name of a built-in strategy or a
+       * custom strategy object (see below). Built-in strategies include:
+       *   - `page`: Sends `?page=1&limit=25`, then increments the page until
+       *   a page contains fewer records than the page size.
+       *   - `offset`: Sends `?offset=0&limit=25`, then increments the offset
+       *   until a page contains fewer records than the page size.
+       *   - `cursor`: Sends `?cursor=<token>`, where the token is read from
+       *   the `cursorHeader` response header or the `cursorPath` attribute
+       *   of the response body. Stops when no token is returned.
+       *   - `link`: Follows the `rel="next"` URL of the RFC 5988 `Link`
+       *   response header.
+       * - `all` (default `false`): Retrieve every page before loading the
+       * store. Otherwise, only the first page is loaded and #next must be
+       * used to append subsequent pages.
+       * - `size` (default `25`): The number of records per page.
+       * - `start` (default `1`): The first page number (`page` strategy).
+       * - `pageParam` (default `page`), `sizeParam` (default `limit`),
+       * `offsetParam` (default `offset`) and `cursorParam` (default `cursor`)
+       * are the query string parameter names.
+       * - `cursorPath` (default `next`) and `cursorHeader` (default `null`)
+       * identify where the `cursor` strategy finds the next token.
+       *
+       * A custom strategy is an object with a `first` and `next` method.
+       * Both receive a context object containing the `url`, the pagination
+       * `options` and a `state` object shared across pages. The context
+       * passed to `next` also contains the `response`, the parsed `body` and
+       * the `records` of the last page. `first` must return the URL of the
+       * first page and `next` must return the URL of the following page, or
+       * `null` when there are no more pages.
+       */
+      pagination: NGN.privateconst(cfg.pagination ? (function () {
+        var options = typeof cfg.pagination === 'string' ? { strategy: cfg.pagination } : cfg.pagination
+        var strategy = NGN.coalesce(options.strategy, 'page')
+
+        if (typeof strategy === 'string') {
+          if (!paginators.hasOwnProperty(strategy)) {
+            throw new Error('Unrecognized HttpProxy pagination strategy: ' + strategy)
+          }
+
+          strategy = paginators[strategy]
+        }
+
+        return {
+          strategy: strategy,
+          all: NGN.coalesce(options.all, false),
+          size: NGN.coalesce(options.size, 25),
+          start: NGN.coalesce(options.start, 1),
+          pageParam: NGN.coalesce(options.pageParam, 'page'),
+          sizeParam: NGN.coalesce(options.sizeParam, 'limit'),
+          offsetParam: NGN.coalesce(options.offsetParam, 'offset'),
+          cursorParam: NGN.coalesce(options.cursorParam, 'cursor'),
+          cursorPath: NGN.coalesce(options.cursorPath, 'next'),
+          cursorHeader: NGN.coalesce(options.cursorHeader, null)
+        }
+      })() : null),
+
+      /**
+       * @cfg {string} [dataPath]
+       * The dot-delimited path to the array of records within a fetched
+       * response envelope. For example, a response of
+       * `{ "data": [...], "meta": { "total": 100 } }` requires a `dataPath`
+       * of `data`. By default, the response itself must be an array.
+       */
+      dataPath: NGN.privateconst(NGN.coalesce(cfg.dataPath, null)),
+
+      /**
+       * @cfg {string} [metaPath]
+       * The dot-delimited path to the metadata within a fetched response
+       * envelope. By default, the `meta` attribute of the envelope is used.
+       * If the envelope has no `meta` attribute, the metadata is everything
+       * in the envelope except the records identified by #dataPath.
+       */
+      metaPath: NGN.privateconst(NGN.coalesce(cfg.metaPath, null)),
+
+      /**
+       * @cfg {function} [transformResponse]
+       * A function that receives the parsed body and raw response of every
+       * fetch, returning the body that should be processed instead. This runs
+       * before #dataPath and #metaPath are applied.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   dataPath: 'people',
+       *   transformResponse: function (body, response) {
+       *     body.people = body.people.map(function (person) {
+       *       return { name: person.first + ' ' + person.last }
+       *     })
+       *
+       *     return body
+       *   }
+       * })
+       * ```
+       */
+      transformResponse: NGN.privateconst(NGN.isFn(cfg.transformResponse) ? cfg.transformResponse : null),
 
-    Object.defineProperties(this, {
       /**
-       * @cfg {object} headers
-       * Provide custom HTTP headers that will be applied to every request.
+       * @property {object} meta
+       * The metadata of the last fetched response envelope (see #metaPath).
+       * This is `null` until an envelope is fetched.
+       * @readonly
        */
-      headers: NGN.define(true, true, false, cfg.headers || {}),
+      meta: NGN._get(function () {
+        return this.pagestate.meta
+      }),
+
+      pagestate: NGN.private({
+        meta: null,
+        next: null,
+        state: {}
+      }),
 
       /**
-       * @property options
-       * The request option values.
+       * @property {boolean} hasMore
+       * Indicates another page of data can be retrieved with #next.
+       * Always `false` unless #pagination is configured.
        * @readonly
+       */
+      hasMore: NGN._get(function () {
+        return this.pagestate.next !== null
+      }),
+
+      /**
+       * @cfg {boolean|object} [cache=false]
+       * Cache fetched responses. Set to `true` to use the defaults, or
+       * provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.HttpProxy({
+       *   url: 'https://api.domain.com/people',
+       *   cache: {
+       *     ttl: 60000,
+       *     storage: 'localStorage',
+       *     staleWhileRevalidate: true
+       *   }
+       * })
+       * ```
+       *
+       * - `ttl` (default `60000`): The number of milliseconds a response is
+       * considered fresh. A `max-age` in the `Cache-Control` response
+       * header takes precedence. Responses with `Cache-Control: no-store`
+       * are never cached and `no-cache` responses are always revalidated.
+       * - `storage` (default `memory`): `memory`, `localStorage` or any
+       * object implementing `getItem`, `setItem` and `removeItem`.
+       * - `prefix` (default `NGNX.HttpProxy.cache:`): The prefix applied to
+       * storage keys.
+       * - `staleWhileRevalidate` (default `false`): When a cached response
+       * is stale, immediately load it into the store, then refresh the
+       * store when the server responds. This only applies to fetches
+       * without #pagination. The refresh is abandoned if the fetch is
+       * cancelled (see #cancel) or superseded (see #latestFetchWins).
+       *
+       * Responses are cached by URL, request headers and credentials (a hash
+       * of the access token and username), so users sharing a browser never
+       * receive each other's cached responses. Stale responses
+       * with an `ETag` are revalidated using an `If-None-Match` request,
+       * reusing the cached response when the server replies
+       * `304 Not Modified`. The cache is cleared after a successful #save.
+       */
+      cache: NGN.privateconst(cfg.cache ? (function () {
+        var options = NGN.typeof(cfg.cache) === 'object' ? cfg.cache : {}
+        var storage = NGN.coalesce(options.storage, 'memory')
+
+        if (storage === 'localStorage') {
+          storage = window.localStorage
+        } else if (storage === 'memory') {
+          var memory = {}
+
+          storage = {
+            getItem: function (key) {
+              return memory.hasOwnProperty(key) ? memory[key] : null
+            },
+            setItem: function (key, value) {
+              memory[key] = value
+            },
+            removeItem: function (key) {
+              delete memory[key]
+            }
+          }
+        }
+
+        return {
+          ttl: NGN.coalesce(options.ttl, 60000),
+          storage: storage,
+          prefix: NGN.coalesce(options.prefix, 'NGNX.HttpProxy.cache:'),
+          staleWhileRevalidate: NGN.coalesce(options.staleWhileRevalidate, false)
+        }
+      })() : null),
+
+      /**
+       * @method cacheKey
+       * Generate the cache key of a request.
+       * @param {object} req
+       * @param {string} token
+       * The access token sent with the request (see #credential).
+       * @returns {string}
        * @private
        */
-      options: NGN._get(function () {
-        var req = {
-          url: this.url,
-          headers: this.headers
+      cacheKey: NGN.privateconst(function (req, token) {
+        return this.cache.prefix + fingerprint(req) + credentials(req, token)
+      }),
+
+      /**
+       * @method readCache
+       * Retrieve a cached response.
+       * @param {string} key
+       * @returns {object}
+       * The cache entry, or `null` if nothing is cached.
+       * @private
+       */
+      readCache: NGN.privateconst(function (key) {
+        try {
+          return JSON.parse(this.cache.storage.getItem(key) || 'null')
+        } catch (e) {
+          return null
         }
-        if (this.token) {
-          req.accessToken = this.token
+      }),
+
+      /**
+       * @method writeCache
+       * Cache a response, respecting its `Cache-Control` header.
+       * @param {string} key
+       * @param {XMLHttpRequest} res
+       * @param {object} [entry]
+       * An existing entry to refresh (used for `304` responses).
+       * @returns {object}
+       * The cache entry, or `null` if the response may not be cached.
+       * @private
+       */
+      writeCache: NGN.privateconst(function (key, res, entry) {
+        var control = (res.getResponseHeader('Cache-Control') || '').toLowerCase()
+        var ttl = this.cache.ttl
+        var maxage = /max-age=(\d+)/.exec(control)
+
+        if (control.indexOf('no-store') >= 0) {
+          this.cache.storage.removeItem(key)
+          return null
         }
-        if (this.username) {
-          req.username = this.username
+
+        if (control.indexOf('no-cache') >= 0) {
+          ttl = 0
+        } else if (maxage !== null) {
+          ttl = parseInt(maxage[1], 10) * 1000
         }
-        if (this.password) {
-          req.password = this.password
+
+        entry = entry || {
+          status: res.status,
+          responseText: res.responseText,
+          headers: NGN.isFn(res.getAllResponseHeaders) ? res.getAllResponseHeaders() : ''
         }
-        if (this.username && this.password) {
-          req.withCredentials = true
+
+        entry.etag = NGN.coalesce(res.getResponseHeader('ETag'), entry.etag, null)
+        entry.expires = (new Date()).getTime() + ttl
+
+        var keys = this.cachedKeys()
+
+        if (keys.indexOf(key) < 0) {
+          keys.push(key)
+          this.cache.storage.setItem(this.cache.prefix + '#keys', JSON.stringify(keys))
         }
-        return req
+
+        this.cache.storage.setItem(key, JSON.stringify(entry))
+
+        return entry
       }),
 
       /**
-       * @method save
-       * @param  {string} [path]
-       * The path on which save operations should occur.
-       * @param {function} [callback]
-       * An optional callback to execute when the save is complete.
-       * @fires save.error
-       * Fired when a non-200/201 response code is received from the
-       * remote server when trying to save data.
+       * @method cachedKeys
+       * The keys of all responses cached by this proxy.
+       * @returns {Array}
+       * @private
        */
-      save: NGN.define(true, false, false, function (path, callback) {
-        if (typeof url === 'function') {
-          callback = path
-          path = ''
+      cachedKeys: NGN.privateconst(function () {
+        try {
+          return JSON.parse(this.cache.storage.getItem(this.cache.prefix + '#keys') || '[]')
+        } catch (e) {
+          return []
+        }
+      }),
+
+      /**
+       * @method clearCache
+       * Remove all cached responses (see #cache).
+       */
+      clearCache: NGN.define(true, false, false, function () {
+        if (this.cache === null) {
+          return
         }
 
-        var i = 0
-        var increment = function (action, model) {
-          return function (res) {
-            i++
-            if (!(res.status === 200 || res.status === 201)) {
-              NGN.emit('save.error', {
-                message: res.responseText,
+        this.cachedKeys().forEach(function (key) {
+          me.cache.storage.removeItem(key)
+        })
+
+        this.cache.storage.removeItem(this.cache.prefix + '#keys')
+      }),
+
+      /**
+       * @method interpret
+       * Parse a fetched response.
+       * @param {object} req
+       * The request configuration.
+       * @param {XMLHttpRequest} res
+       * The response.
+       * @returns {object}
+       * An object containing the `response`, the parsed (and transformed)
+       * `body`, the array of `records` it contains and the envelope `meta`
+       * data.
+       * @fires fetch.error
+       * @private
+       */
+      interpret: NGN.privateconst(function (req, res) {
+        var err = null
+        var data
+
+        if (!succeeded(res)) {
+          var body = parse(res)
+          var details = me.describe(body, res)
+
+          err = new NGNX.DATA.HttpProxyError(NGN.coalesce(details && details.message, 'Could not fetch ' + req.url + ' (HTTP ' + res.status + ').'), {
+            status: res.status,
+            body: body,
+            action: 'fetch',
+            response: res,
+            details: details
+          })
+        } else {
+          try {
+            data = JSON.parse(res.responseText)
+          } catch (e) {
+            err = new NGNX.DATA.HttpProxyError('Invalid JSON received from ' + req.url + '.', {
+              status: res.status,
+              body: res.responseText,
+              action: 'fetch',
+              response: res
+            })
+          }
+        }
+
+        var records = null
+        var meta = null
+
+        if (err === null) {
+          if (me.transformResponse !== null) {
+            data = me.transformResponse(data, res)
+          }
+
+          records = me.dataPath !== null ? resolve(data, me.dataPath) : data
+
+          if (!Array.isArray(records)) {
+            records = null
+
+            if (me.dataPath !== null) {
+              err = new NGNX.DATA.HttpProxyError('The response from ' + req.url + ' does not contain an array of records at "' + me.dataPath + '".', {
                 status: res.status,
-                action: action,
-                model: model
+                body: data,
+                action: 'fetch',
+                response: res
               })
             }
-            if (i === (me.actions.create.length + me.actions.update.length + me.actions.delete.length)) {
-              callback && callback()
+          }
+
+          if (me.metaPath !== null) {
+            meta = NGN.coalesce(resolve(data, me.metaPath), null)
+          } else if (me.dataPath !== null && NGN.typeof(data) === 'object' && data.hasOwnProperty('meta') && me.dataPath.split('.')[0] !== 'meta') {
+            meta = data.meta
+          } else if (me.dataPath !== null && NGN.typeof(data) === 'object') {
+            var root = me.dataPath.split('.')[0]
+
+            meta = {}
+
+            Object.keys(data).forEach(function (key) {
+              if (key !== root) {
+                meta[key] = data[key]
+              }
+            })
+          }
+        }
+
+        if (err !== null) {
+          NGN.emit('fetch.error', err)
+          throw err
+        }
+
+        me.pagestate.meta = meta
+
+        return {
+          response: res,
+          body: data,
+          records: records,
+          meta: meta
+        }
+      }),
+
+      /**
+       * @method retrieve
+       * Send a GET request (or use the #cache) and parse the JSON response.
+       * @param {object} req
+       * The request configuration.
+       * @param {function} [revalidated]
+       * When provided, stale cached responses are used immediately if
+       * `staleWhileRevalidate` is enabled (see #cache). This function
+       * receives the refreshed result if the server returns new data.
+       * @returns {Promise}
+       * Resolves with the same object as #interpret, plus `cached` and
+       * `stale` attributes indicating whether a cached response was used.
+       * @fires fetch.error
+       * @private
+       */
+      retrieve: NGN.privateconst(function (req, revalidated) {
+        req.method = 'GET'
+
+        if (this.cache === null) {
+          return this.transmit(req).then(function (res) {
+            return me.interpret(req, res)
+          })
+        }
+
+        return this.credential().then(function (token) {
+          return me.lookup(req, me.cacheKey(req, token), revalidated)
+        })
+      }),
+
+      /**
+       * @method lookup
+       * Use the #cache entry of a request, or retrieve and cache the
+       * response (see #retrieve).
+       * @param {object} req
+       * The request configuration.
+       * @param {string} key
+       * The cache key of the request.
+       * @param {function} [revalidated]
+       * @returns {Promise}
+       * @private
+       */
+      lookup: NGN.privateconst(function (req, key, revalidated) {
+        var entry = this.readCache(key)
+
+        var cached = function (stale) {
+          var page = me.interpret(req, {
+            status: entry.status,
+            responseText: entry.responseText,
+            getResponseHeader: function (name) {
+              var match = new RegExp('^' + name + ':\\s*(.*)$', 'im').exec(entry.headers || '')
+              return match === null ? null : match[1].trim()
+            }
+          })
+
+          page.cached = true
+          page.stale = stale
+
+          return page
+        }
+
+        if (entry !== null && entry.expires > (new Date()).getTime()) {
+          return Promise.resolve().then(function () {
+            return cached(false)
+          })
+        }
+
+        var conditional = copy(req)
+
+        if (entry !== null && entry.etag) {
+          conditional.headers['If-None-Match'] = entry.etag
+        }
+
+        var network = this.transmit(conditional).then(function (res) {
+          if (res.status === 304 && entry !== null) {
+            entry = me.writeCache(key, res, entry) || entry
+
+            var page = cached(false)
+            page.unchanged = true
+
+            return page
+          }
+
+          if (succeeded(res)) {
+            me.writeCache(key, res)
+          }
+
+          var result = me.interpret(req, res)
+
+          result.cached = false
+          result.stale = false
+
+          return result
+        })
+
+        if (entry !== null && this.cache.staleWhileRevalidate && NGN.isFn(revalidated)) {
+          var ticket = NGN.coalesce(req.ticket, null)
+
+          // Failed responses are reported by #interpret. The refresh is
+          // abandoned when the fetch is cancelled or superseded.
+          var refresh = network.then(function (page) {
+            if (page.unchanged || (ticket !== null && ticket.cancelled)) {
+              return
+            }
+
+            try {
+              revalidated(page)
+            } catch (err) {
+              if (!err.cancelled) {
+                NGN.emit('fetch.error', err)
+              }
             }
+          }, function () {})
+
+          if (ticket !== null) {
+            ticket.pending.push(refresh)
           }
+
+          return Promise.resolve().then(function () {
+            return cached(true)
+          })
         }
 
+        return network
+      }),
+
+      /**
+       * @method paginate
+       * Retrieve a page of data and identify the URL of the next page.
+       * @param {string} url
+       * The URL of the page.
+       * @param {Ticket} ticket
+       * The cancellation ticket of the fetch.
+       * @returns {Promise}
+       * Resolves with the same object as #retrieve.
+       * @private
+       */
+      paginate: NGN.privateconst(function (url, ticket) {
         var req = this.options
-        req.url += (path || '')
+        req.url = url
+        req.ticket = ticket
 
-        this.actions.create.forEach(function (model) {
-          req.json = model.data
-          NGN.NET.post(req, increment('create', model))
+        return this.retrieve(req).then(function (page) {
+          ticket.verify()
+
+          var next = me.pagination.strategy.next({
+            url: url,
+            response: page.response,
+            body: page.body,
+            records: page.records || [],
+            options: me.pagination,
+            state: me.pagestate.state
+          })
+
+          me.pagestate.next = NGN.coalesce(next, null) === url ? null : NGN.coalesce(next, null)
+
+          return page
         })
-        this.actions.update.forEach(function (model) {
-          req.url += '/' + model.id
-          req.json = model.data
-          NGN.NET.put(req, increment('update', model))
+      }),
+
+      /**
+       * @cfg {string|function} [querySerializer=params]
+       * Determines how a #fetch query is added to the URL. This may be the
+       * name of a serializer in NGNX.DATA.HttpProxy#serializers or a
+       * function that receives the query and returns an array of
+       * `[key, value]` query string parameters. Built-in serializers are:
+       *
+       * - `params`: `?lastname=Butler&age[gte]=21&sort=-age&limit=10&offset=0&fields=firstname,lastname`
+       * - `odata`: `?$filter=lastname eq 'Butler' and age ge 21&$orderby=age desc&$top=10&$skip=0&$select=firstname,lastname`
+       * - `jsonapi`: `?filter[lastname]=Butler&filter[age][gte]=21&sort=-age&page[limit]=10&page[offset]=0&fields[people]=firstname,lastname`
+       * (sparse fieldsets use the `type` attribute of the query, or `fields`
+       * may be an object keyed by type).
+       */
+      querySerializer: NGN.privateconst(NGN.coalesce(cfg.querySerializer, 'params')),
+
+      /**
+       * @method serializeQuery
+       * Convert a #fetch query into a query string.
+       * @param {object} query
+       * @param {string} url
+       * The URL the query string will be appended to.
+       * @returns {string}
+       * The query string, beginning with `?` (or `&` if the URL already has
+       * a query string).
+       * @private
+       */
+      serializeQuery: NGN.privateconst(function (query, url) {
+        var serializer = this.querySerializer
+
+        if (typeof serializer === 'string') {
+          if (!NGNX.DATA.HttpProxy.serializers.hasOwnProperty(serializer)) {
+            throw new Error('Unrecognized HttpProxy query serializer: ' + serializer)
+          }
+
+          serializer = NGNX.DATA.HttpProxy.serializers[serializer]
+        }
+
+        var params = serializer(query).map(function (pair) {
+          return encodeURIComponent(pair[0]) + '=' + encodeURIComponent(pair[1])
+        })
+
+        if (params.length === 0) {
+          return ''
+        }
+
+        return (url.indexOf('?') >= 0 ? '&' : '?') + params.join('&')
+      }),
+
+      /**
+       * @cfg {boolean} [latestFetchWins=true]
+       * When a new #fetch (of a different URL) starts while another fetch
+       * or #next is pending, the older request is cancelled so its response
+       * can never overwrite the newer data in the store. Cancelled requests
+       * are rejected with a NGNX.DATA.HttpProxyError whose `cancelled`
+       * attribute is `true`.
+       */
+      latestFetchWins: NGN.privateconst(NGN.coalesce(cfg.latestFetchWins, true)),
+
+      tickets: NGN.private([]),
+
+      inflight: NGN.private({}),
+
+      /**
+       * @method operation
+       * Run a cancellable fetch or save operation.
+       * @param {string} action
+       * The operation (`fetch` or `save`).
+       * @param {function} fn
+       * A function receiving the cancellation ticket. It must return a
+       * Promise.
+       * @returns {Promise}
+       * The Promise returned by `fn`, with a `cancel()` method.
+       * @private
+       */
+      operation: NGN.privateconst(function (action, fn) {
+        var ticket = new Ticket(action)
+
+        this.tickets.push(ticket)
+
+        var release = function () {
+          var index = me.tickets.indexOf(ticket)
+
+          if (index >= 0) {
+            me.tickets.splice(index, 1)
+          }
+        }
+
+        var promise = Promise.resolve().then(function () {
+          return fn(ticket)
+        }).then(function (result) {
+          Promise.all(ticket.pending).then(release, release)
+          return result
+        }, function (err) {
+          release()
+          throw err
         })
-        this.actions.delete.forEach(function (model) {
-          req.url += '/' + model.id
-          NGN.NET.delete(req, increment('delete', model))
+
+        promise.cancel = function (reason) {
+          ticket.cancel(reason)
+        }
+
+        return promise
+      }),
+
+      /**
+       * @method cancel
+       * Cancel every pending #fetch, #next and #save. Pending requests are
+       * aborted when supported by NGN.NET. Otherwise their responses are
+       * ignored. The Promises of the cancelled operations are rejected with
+       * a NGNX.DATA.HttpProxyError whose `cancelled` attribute is `true`.
+       *
+       * To cancel a single operation, use the `cancel()` method of the
+       * Promise it returns:
+       *
+       * ```js
+       * let request = MyStore.proxy.fetch('/people')
+       *
+       * request.cancel()
+       * ```
+       * @param {string} [reason]
+       * The error message of the rejected operations.
+       */
+      cancel: NGN.define(true, false, false, function (reason) {
+        this.tickets.slice().forEach(function (ticket) {
+          ticket.cancel(reason)
         })
       }),
 
@@ -105,29 +3091,317 @@ if (NGN.DATA.Proxy && NGN.NET) {
        * Retrieve a JSON array-based data set from an API endpoint.
        * This method basically runs a `GET /path`, expecting an
        * array of data that can be loaded to the NGN.DATA.Model.
+       *
+       * ```js
+       * MyStore.proxy.fetch('/people').then(function (result) {
+       *   console.log(result.data)
+       * })
+       * ```
+       * When #pagination is configured, the first page is retrieved (or all
+       * pages, if the `all` pagination option is set).
+       *
+       * Fetching a URL that is already being fetched with the same headers
+       * and credentials (the access token and `username`) does not send
+       * another request. Instead, the Promise of the pending fetch is
+       * returned. Fetches are not merged when the #tokenProvider returns a
+       * Promise, since the tokens cannot be compared in advance. See
+       * #latestFetchWins and #cancel for cancellation details.
        * @param  {string} [path]
        * An optional path to add to the URL. This can Include
        * query strings.
-       * @param {function} callback
+       * @param {object} [query]
+       * A structured query, serialized using the #querySerializer. It may
+       * contain any of the following attributes:
+       *
+       * - `filter`: An object keyed by field name. Each value may be a
+       * primitive (equality), an array (any of the values) or an object of
+       * operators (`eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in`, `contains`).
+       * - `sort`: An array of field names (prefixed with `-` for descending
+       * order) or `{ field, direction }` objects.
+       * - `limit` and `offset`: The number of records to retrieve and skip.
+       * - `fields`: An array of the field names to retrieve.
+       *
+       * ```js
+       * MyStore.proxy.fetch('/people', {
+       *   filter: {
+       *     lastname: 'Butler',
+       *     age: { gte: 21 },
+       *     role: ['admin', 'author']
+       *   },
+       *   sort: ['-age', 'firstname'],
+       *   limit: 10,
+       *   fields: ['firstname', 'lastname']
+       * })
+       * ```
+       * @param {function} [callback]
+       * An optional callback to execute when the fetch is complete.
+       * @param {NGNX.DATA.HttpProxyError} callback.error
+       * The error, or `null` if the fetch succeeded.
+       * @param {object} callback.result
+       * The same result object the promise resolves with.
+       * @returns {Promise}
+       * Resolves with an object containing the parsed response `data` (the
+       * records, when a #dataPath is configured), the envelope `meta` data
+       * (see #meta), the response `status` and whether the server has more
+       * pages (`hasMore`). The `cached` and `stale` attributes indicate
+       * whether a cached response was used (see #cache).
+       * When all pages are retrieved, `data` contains the records of every
+       * page and `pages` is the number of pages retrieved. Rejects with a
+       * NGNX.DATA.HttpProxyError when a non-2xx response is received or the
+       * body is not valid JSON. The Promise has a `cancel()` method.
+       * @fires fetch.error
+       * Fired with the NGNX.DATA.HttpProxyError when the fetch fails.
+       * @fires fetch.revalidated
+       * Fired with a new result object when a stale cached response was
+       * loaded and the server returned newer data (see #cache).
        */
-      fetch: NGN.define(true, false, false, function (path, callback) {
+      fetch: NGN.define(true, false, true, function (path, query, callback) {
+        if (NGN.typeof(path) === 'object') {
+          callback = query
+          query = path
+          path = ''
+        } else if (typeof path === 'function') {
+          callback = path
+          query = null
+          path = ''
+        }
+
+        if (typeof query === 'function') {
+          callback = query
+          query = null
+        }
+
         var req = this.options
         req.url += (path || '')
-        NGN.NET.get(req, function (res) {
-          var data = res.responseText
-          if (typeof data === 'string') {
-            data = JSON.parse(data)
+
+        // Queries that cannot be serialized reject the fetch.
+        if (NGN.typeof(query) === 'object') {
+          try {
+            req.url += this.serializeQuery(query, req.url)
+          } catch (err) {
+            return respond(this.operation('fetch', function () {
+              throw err
+            }), callback)
+          }
+        }
+
+        var token = this.tokenProvider === null ? NGN.coalesce(req.accessToken, null) : this.tokenProvider()
+        var key = null
+
+        // A token provided asynchronously cannot be compared, so the fetch
+        // is not merged with a pending one.
+        if (!(token && NGN.isFn(token.then))) {
+          key = fingerprint(req) + credentials(req, NGN.coalesce(token, null))
+        }
+
+        if (key !== null && this.inflight.hasOwnProperty(key)) {
+          return respond(this.inflight[key], callback)
+        }
+
+        if (this.latestFetchWins) {
+          this.tickets.slice().forEach(function (ticket) {
+            if (ticket.action === 'fetch') {
+              ticket.cancel('Superseded by a newer fetch.')
+            }
+          })
+        }
+
+        var promise = this.operation('fetch', function (ticket) {
+          req.ticket = ticket
+
+          if (me.pagination === null) {
+            var summarize = function (page) {
+              ticket.verify()
+              me.observe(page)
+
+              if (page.records !== null) {
+                me.store.reload(page.records)
+              }
+
+              return {
+                data: NGN.coalesce(page.records, page.body),
+                meta: page.meta,
+                status: page.response.status,
+                hasMore: false,
+                cached: page.cached === true,
+                stale: page.stale === true
+              }
+            }
+
+            return me.retrieve(req, function (page) {
+              NGN.emit('fetch.revalidated', summarize(page))
+            }).then(summarize)
           }
-          if (data instanceof Array) {
-            me.store.reload(data)
+
+          me.pagestate.state = {}
+          me.pagestate.next = null
+
+          var url = me.pagination.strategy.first({
+            url: req.url,
+            options: me.pagination,
+            state: me.pagestate.state
+          })
+
+          if (!me.pagination.all) {
+            return me.paginate(url, ticket).then(function (page) {
+              me.observe(page)
+              me.store.reload(page.records || [])
+
+              return {
+                data: page.records || [],
+                meta: page.meta,
+                status: page.response.status,
+                hasMore: me.hasMore
+              }
+            })
+          }
+
+          var records = []
+          var pages = 0
+
+          var collect = function (url) {
+            return me.paginate(url, ticket).then(function (page) {
+              me.observe(page)
+              records = records.concat(page.records || [])
+              pages++
+
+              if (me.hasMore) {
+                return collect(me.pagestate.next)
+              }
+
+              me.store.reload(records)
+
+              return {
+                data: records,
+                meta: page.meta,
+                status: page.response.status,
+                hasMore: false,
+                pages: pages
+              }
+            })
           }
-          callback && callback()
+
+          return collect(url)
         })
+
+        if (key !== null) {
+          var settled = function () {
+            if (me.inflight[key] === promise) {
+              delete me.inflight[key]
+            }
+          }
+
+          this.inflight[key] = promise
+          promise.then(settled, settled)
+        }
+
+        return respond(promise, callback)
+      }),
+
+      /**
+       * @method next
+       * Retrieve the next page of data and append it to the store. This is
+       * only available when #pagination is configured.
+       *
+       * ```js
+       * if (MyStore.proxy.hasMore) {
+       *   MyStore.proxy.next().then(function (result) {
+       *     console.log(result.data) // The records of the new page.
+       *   })
+       * }
+       * ```
+       * @param {function} [callback]
+       * An optional callback, receiving the same arguments as the #fetch
+       * callback.
+       * @returns {Promise}
+       * Resolves with the same object as #fetch. Rejects if there are no
+       * more pages (see #hasMore). The Promise has a `cancel()` method.
+       * @fires fetch.error
+       */
+      next: NGN.define(true, false, false, function (callback) {
+        if (!this.hasMore) {
+          return respond(Promise.reject(new Error('There are no more pages to retrieve.')), callback)
+        }
+
+        return respond(this.operation('fetch', function (ticket) {
+          return me.paginate(me.pagestate.next, ticket).then(function (page) {
+            me.observe(page)
+            me.store.load(page.records || [])
+
+            return {
+              data: page.records || [],
+              meta: page.meta,
+              status: page.response.status,
+              hasMore: me.hasMore
+            }
+          })
+        }), callback)
       })
     })
+
+    // Replay queued save requests whenever connectivity is restored.
+    if (this.queue !== null) {
+      queues[this.queue.key] = this
+
+      if (!this.offline && this.pending.length > 0) {
+        setTimeout(function () {
+          me.replay()
+        }, 0)
+      }
+    }
   }
 
   NGN.inherit(NGN.DATA.Proxy, NGNX.DATA.HttpProxy)
+
+  Object.defineProperties(NGNX.DATA.HttpProxy, {
+    /**
+     * @property {Array} interceptors
+     * The global interceptors, applied to every request made by every
+     * HttpProxy before the proxy's own #interceptors.
+     * @static
+     * @readonly
+     */
+    interceptors: NGN.const([]),
+
+    /**
+     * @property {Object} serializers
+     * The query serializers available to every HttpProxy (see
+     * NGNX.DATA.HttpProxy#querySerializer), keyed by name. Custom
+     * serializers can be added:
+     *
+     * ```js
+     * NGNX.DATA.HttpProxy.serializers.custom = function (query) {
+     *   return [['q', JSON.stringify(query.filter)]]
+     * }
+     * ```
+     * @static
+     * @readonly
+     */
+    serializers: NGN.const(serializers),
+
+    /**
+     * @method intercept
+     * Add a global interceptor, applied to every HttpProxy
+     * (see NGNX.DATA.HttpProxy#interceptors).
+     *
+     * ```js
+     * NGNX.DATA.HttpProxy.intercept({
+     *   error: function (res) {
+     *     return {
+     *       status: res.status,
+     *       responseText: JSON.stringify({ message: res.statusText }),
+     *       getResponseHeader: res.getResponseHeader.bind(res)
+     *     }
+     *   }
+     * })
+     * ```
+     * @param {object} interceptor
+     * @static
+     */
+    intercept: NGN.const(function (interceptor) {
+      NGNX.DATA.HttpProxy.interceptors.push(interceptor)
+    })
+  })
 } else {
-  throw new Error('NGN.DATA.Proxy & NGN.NET are required for NGN.DATA.HttpProxy.')
+  throw new Error('NGN.DATA.Proxy, NGN.NET & NGNX.DATA.util are required for NGN.DATA.HttpProxy.')
 }
@@ -0,0 +1,300 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.JsonApiProxy
+ * Provides a gateway to a remote [JSON:API](http://jsonapi.org) endpoint.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.JsonApiProxy({
+ *     url: 'https://api.domain.com/people',
+ *     type: 'people',
+ *     relationships: {
+ *       employer: 'companies'
+ *     }
+ *   })
+ * })
+ * ```
+ *
+ * Fetched resource objects are flattened into records. The `id`, every
+ * attribute and every relationship become fields of the record. A
+ * relationship is represented by the related ID (or an array of IDs), or by
+ * the flattened related record when it is part of the `included` resources.
+ *
+ * Saved models are sent as resource objects. Updates use `PATCH`, as
+ * required by the specification. JSON:API error objects are mapped onto
+ * NGNX.DATA.HttpProxyError#details and the `save.error` payload:
+ *
+ * ```js
+ * NGN.BUS.on('save.error', function (e) {
+ *   e.errors.forEach(function (error) {
+ *     console.log(error.field, error.detail) // name, "Name is required."
+ *   })
+ * })
+ * ```
+ *
+ * Set `pagination` to `links` (or use a `strategy` of `links`) to follow
+ * the `links.next` URL of each fetched document.
+ *
+ * All other configuration options of NGNX.DATA.HttpProxy are supported.
+ * Custom #transformResponse and #transformRequest functions receive the
+ * converted document/request, while custom #transformSaveResponse and
+ * #transformError functions replace the JSON:API conversion.
+ * @extends NGNX.DATA.HttpProxy
+ */
+if (NGNX.DATA.HttpProxy) {
+  const MEDIA_TYPE = 'application/vnd.api+json'
+
+  // Index included resource objects by type and ID.
+  const index = function (resources) {
+    var map = {}
+
+    ;(resources || []).forEach(function (resource) {
+      map[resource.type + ':' + resource.id] = resource
+    })
+
+    return map
+  }
+
+  // Convert a resource object into a flat record.
+  const flatten = function (resource, included, depth) {
+    var record = {}
+
+    if (resource.id !== undefined) {
+      record.id = resource.id
+    }
+
+    Object.keys(resource.attributes || {}).forEach(function (key) {
+      record[key] = resource.attributes[key]
+    })
+
+    Object.keys(resource.relationships || {}).forEach(function (name) {
+      var linkage = resource.relationships[name].data
+
+      if (linkage === undefined) {
+        return
+      }
+
+      var link = function (identifier) {
+        var related = included[identifier.type + ':' + identifier.id]
+
+        return related && depth > 0 ? flatten(related, included, depth - 1) : identifier.id
+      }
+
+      record[name] = Array.isArray(linkage) ? linkage.map(link) : (linkage === null ? null : link(linkage))
+    })
+
+    return record
+  }
+
+  // Convert a relationship value (an ID or an object with an ID) into a
+  // resource identifier object.
+  const identify = function (value, type) {
+    if (value === null || value === undefined) {
+      return null
+    }
+
+    var id = NGN.typeof(value) === 'object' ? value.id : value
+
+    return { type: type, id: String(id) }
+  }
+
+  // Determine which field a JSON pointer (/data/attributes/name) refers to.
+  const field = function (source) {
+    var match = /^\/data\/(?:attributes|relationships)\/([^/]+)/.exec((source && source.pointer) || '')
+
+    return match === null ? null : match[1]
+  }
+
+  window.NGNX.DATA.JsonApiProxy = function (cfg) {
+    cfg = cfg || {}
+
+    if (!cfg.type) {
+      throw new Error('NGNX.DATA.JsonApiProxy requires a resource type.')
+    }
+
+    var me = this
+    var settings = {}
+
+    Object.keys(cfg).forEach(function (key) {
+      settings[key] = cfg[key]
+    })
+
+    settings.dataPath = 'data'
+    settings.querySerializer = NGN.coalesce(cfg.querySerializer, 'jsonapi')
+    settings.patch = cfg.patch ? 'merge' : false
+
+    settings.headers = { Accept: MEDIA_TYPE }
+    Object.keys(cfg.headers || {}).forEach(function (key) {
+      settings.headers[key] = cfg.headers[key]
+    })
+
+    settings.routes = {
+      update: { method: 'PATCH' }
+    }
+    Object.keys(cfg.routes || {}).forEach(function (action) {
+      settings.routes[action] = cfg.routes[action]
+    })
+
+    var pagination = typeof cfg.pagination === 'string' ? { strategy: cfg.pagination } : cfg.pagination
+
+    if (pagination && pagination.strategy === 'links') {
+      settings.pagination = {}
+      Object.keys(pagination).forEach(function (key) {
+        settings.pagination[key] = pagination[key]
+      })
+
+      settings.pagination.strategy = {
+        first: function (ctx) {
+          return ctx.url
+        },
+
+        next: function (ctx) {
+          return ctx.body && ctx.body.links ? NGN.coalesce(ctx.body.links.next, null) : null
+        }
+      }
+    }
+
+    settings.transformResponse = function (body, response) {
+      if (NGN.typeof(body) === 'object' && body.data !== undefined) {
+        var included = index(body.included)
+        var data = Array.isArray(body.data) ? body.data : (body.data === null ? [] : [body.data])
+
+        body.data = data.map(function (resource) {
+          return flatten(resource, included, me.depth)
+        })
+      }
+
+      return NGN.isFn(cfg.transformResponse) ? cfg.transformResponse(body, response) : body
+    }
+
+    settings.transformRequest = function (req, action, model) {
+      if (action !== 'delete') {
+        var values = req.json !== undefined ? req.json : JSON.parse(req.body)
+        var resource = {
+          type: me.type
+        }
+
+        if (action !== 'create') {
+          resource.id = String(me.identify(model))
+        }
+
+        resource.attributes = {}
+
+        Object.keys(values || {}).forEach(function (key) {
+          if (key === 'id' || key === me.idField) {
+            return
+          }
+
+          if (me.relationships.hasOwnProperty(key)) {
+            var type = me.relationships[key]
+
+            resource.relationships = resource.relationships || {}
+            resource.relationships[key] = {
+              data: Array.isArray(values[key])
+                ? values[key].map(function (value) { return identify(value, type) })
+                : identify(values[key], type)
+            }
+
+            return
+          }
+
+          resource.attributes[key] = values[key]
+        })
+
+        delete req.json
+        req.body = JSON.stringify({ data: resource })
+        req.headers['Content-Type'] = MEDIA_TYPE
+      }
+
+      return NGN.isFn(cfg.transformRequest) ? cfg.transformRequest(req, action, model) : req
+    }
+
+    settings.transformSaveResponse = NGN.isFn(cfg.transformSaveResponse) ? cfg.transformSaveResponse : function (body) {
+      if (NGN.typeof(body) !== 'object' || NGN.typeof(body.data) !== 'object') {
+        return null
+      }
+
+      return flatten(body.data, index(body.included), me.depth)
+    }
+
+    settings.transformError = NGN.isFn(cfg.transformError) ? cfg.transformError : function (body) {
+      if (NGN.typeof(body) !== 'object' || !Array.isArray(body.errors)) {
+        return null
+      }
+
+      var details = {
+        errors: body.errors.map(function (error) {
+          return {
+            status: NGN.coalesce(error.status, null),
+            code: NGN.coalesce(error.code, null),
+            title: NGN.coalesce(error.title, null),
+            detail: NGN.coalesce(error.detail, null),
+            field: field(error.source),
+            source: NGN.coalesce(error.source, null),
+            meta: NGN.coalesce(error.meta, null)
+          }
+        })
+      }
+
+      var message = details.errors.map(function (error) {
+        return NGN.coalesce(error.detail, error.title)
+      }).filter(function (text) {
+        return text !== null
+      }).join(' ')
+
+      if (message.length > 0) {
+        details.message = message
+      }
+
+      return details
+    }
+
+    NGNX.DATA.HttpProxy.call(this, settings)
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} type (required)
+       * The JSON:API resource type of the records, such as `people`.
+       */
+      type: NGN.const(cfg.type),
+
+      /**
+       * @cfg {object} [relationships]
+       * The model fields that are sent as relationships instead of
+       * attributes, mapped to the resource type of the related records:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.JsonApiProxy({
+       *   url: 'https://api.domain.com/articles',
+       *   type: 'articles',
+       *   relationships: {
+       *     author: 'people',
+       *     tags: 'tags'
+       *   }
+       * })
+       * ```
+       *
+       * A relationship field may contain an ID, an object with an `id`, or
+       * an array of either (to-many relationships).
+       */
+      relationships: NGN.privateconst(cfg.relationships || {}),
+
+      /**
+       * @cfg {number} [depth=1]
+       * The number of levels of `included` resources that are nested within
+       * flattened records. Related resources beyond this depth (or not
+       * included in the response) are represented by their ID.
+       */
+      depth: NGN.privateconst(NGN.coalesce(cfg.depth, 1))
+    })
+  }
+
+  NGN.inherit(NGNX.DATA.HttpProxy, NGNX.DATA.JsonApiProxy)
+} else {
+  throw new Error('NGNX.DATA.HttpProxy is required for NGNX.DATA.JsonApiProxy.')
+}
@@ -0,0 +1,555 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.LocalProxy
+ * Persists the records of a store within the browser, using
+ * [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API)
+ * when it is available and `localStorage` otherwise.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.LocalProxy({
+ *     namespace: 'people',
+ *     version: 2,
+ *     migrations: {
+ *       2: function (record) {
+ *         record.name = record.first + ' ' + record.last
+ *         return record
+ *       }
+ *     }
+ *   })
+ * })
+ *
+ * People.proxy.fetch().then(function (result) {
+ *   console.log(result.data)
+ * })
+ * ```
+ *
+ * #save and #fetch resolve with the same shape as NGNX.DATA.HttpProxy.
+ * Every store must use a unique #namespace, which allows multiple stores
+ * to coexist in the same browser.
+ * @extends NGN.DATA.Proxy
+ */
+if (NGN.DATA.Proxy) {
+  // Generate an identifier for records that do not have one.
+  const uuid = function () {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+      var r = Math.random() * 16 | 0
+      return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16)
+    })
+  }
+
+  // Apply the migrations between two schema versions to a set of records.
+  const migrate = function (records, migrations, from, to) {
+    for (var version = from + 1; version <= to; version++) {
+      if (NGN.isFn(migrations[version])) {
+        records = records.map(migrations[version]).filter(function (record) {
+          return record !== null && record !== undefined
+        })
+      }
+    }
+
+    return records
+  }
+
+  // Storage backends. Each provides open(), all() and write(puts, deletes),
+  // all of which return a Promise.
+  const backends = {
+    indexeddb: function (proxy) {
+      var db = null
+      var name = proxy.prefix + proxy.namespace
+
+      var request = function (fn) {
+        return new Promise(function (resolve, reject) {
+          var req = fn()
+          req.onsuccess = function () {
+            resolve(req.result)
+          }
+          req.onerror = function () {
+            reject(req.error)
+          }
+        })
+      }
+
+      return {
+        open: function () {
+          return new Promise(function (resolve, reject) {
+            var req = window.indexedDB.open(name, proxy.version)
+
+            req.onupgradeneeded = function (e) {
+              var database = req.result
+
+              if (!database.objectStoreNames.contains('records')) {
+                database.createObjectStore('records', { keyPath: proxy.idField })
+              }
+
+              if (e.oldVersion > 0) {
+                var store = req.transaction.objectStore('records')
+
+                store.getAll().onsuccess = function (event) {
+                  var records = migrate(event.target.result, proxy.migrations, e.oldVersion, proxy.version)
+
+                  store.clear()
+                  records.forEach(function (record) {
+                    store.put(record)
+                  })
+                }
+              }
+            }
+
+            req.onsuccess = function () {
+              db = req.result
+              resolve()
+            }
+
+            req.onerror = function () {
+              reject(req.error)
+            }
+
+            // Another window holds an older version of the database open.
+            // The upgrade continues (and onsuccess fires) once it is closed.
+            req.onblocked = function () {
+              NGN.emit('local.blocked', {
+                namespace: proxy.namespace,
+                database: name
+              })
+            }
+          })
+        },
+
+        all: function () {
+          return request(function () {
+            return db.transaction('records', 'readonly').objectStore('records').getAll()
+          })
+        },
+
+        write: function (puts, deletes) {
+          return new Promise(function (resolve, reject) {
+            var tx = db.transaction('records', 'readwrite')
+            var store = tx.objectStore('records')
+
+            // A record that cannot be stored (such as one without an ID)
+            // aborts the transaction, so nothing is written.
+            try {
+              puts.forEach(function (record) {
+                store.put(record)
+              })
+
+              deletes.forEach(function (id) {
+                store.delete(id)
+              })
+            } catch (e) {
+              tx.abort()
+              return reject(e)
+            }
+
+            tx.oncomplete = function () {
+              resolve()
+            }
+
+            tx.onerror = tx.onabort = function () {
+              reject(tx.error)
+            }
+          })
+        }
+      }
+    },
+
+    localstorage: function (proxy) {
+      var key = proxy.prefix + proxy.namespace
+
+      var read = function () {
+        var content = window.localStorage.getItem(key)
+
+        return content === null ? { version: proxy.version, records: {} } : JSON.parse(content)
+      }
+
+      var persist = function (content) {
+        window.localStorage.setItem(key, JSON.stringify(content))
+      }
+
+      return {
+        open: function () {
+          return new Promise(function (resolve) {
+            var content = read()
+
+            if (content.version < proxy.version) {
+              var records = Object.keys(content.records).map(function (id) {
+                return content.records[id]
+              })
+
+              content.records = {}
+
+              migrate(records, proxy.migrations, content.version, proxy.version).forEach(function (record) {
+                content.records[record[proxy.idField]] = record
+              })
+            }
+
+            content.version = proxy.version
+            persist(content)
+
+            resolve()
+          })
+        },
+
+        all: function () {
+          return new Promise(function (resolve) {
+            var records = read().records
+
+            resolve(Object.keys(records).map(function (id) {
+              return records[id]
+            }))
+          })
+        },
+
+        write: function (puts, deletes) {
+          return new Promise(function (resolve, reject) {
+            var content = read()
+
+            // Like IndexedDB, a record without an ID cannot be stored, so
+            // nothing is written.
+            var invalid = puts.filter(function (record) {
+              return record[proxy.idField] === null || record[proxy.idField] === undefined
+            })
+
+            if (invalid.length > 0) {
+              return reject(new Error('Cannot store a record without a value for the "' + proxy.idField + '" field.'))
+            }
+
+            puts.forEach(function (record) {
+              content.records[record[proxy.idField]] = record
+            })
+
+            deletes.forEach(function (id) {
+              delete content.records[id]
+            })
+
+            persist(content)
+            resolve()
+          })
+        }
+      }
+    }
+  }
+
+  window.NGNX.DATA.LocalProxy = function (cfg) {
+    cfg = cfg || {}
+
+    if (!cfg.namespace) {
+      throw new Error('NGNX.DATA.LocalProxy requires a namespace.')
+    }
+
+    if (cfg.storage && !backends.hasOwnProperty(cfg.storage.toLowerCase())) {
+      throw new Error('Unrecognized LocalProxy storage: ' + cfg.storage)
+    }
+
+    this.constructor(cfg)
+    var me = this
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} namespace (required)
+       * A name that uniquely identifies the store's data within the
+       * browser, such as `people`.
+       */
+      namespace: NGN.const(cfg.namespace),
+
+      /**
+       * @cfg {string} [prefix=ngnx.]
+       * Prepended to the #namespace to create the name of the IndexedDB
+       * database or `localStorage` key.
+       */
+      prefix: NGN.privateconst(NGN.coalesce(cfg.prefix, 'ngnx.')),
+
+      /**
+       * @cfg {string} [idField=id]
+       * The model field that uniquely identifies each record. Records
+       * without an ID are assigned a random UUID when they are saved.
+       */
+      idField: NGN.privateconst(NGN.coalesce(cfg.idField, 'id')),
+
+      /**
+       * @cfg {number} [version=1]
+       * The schema version (a positive integer). Increase the version and
+       * provide a corresponding #migrations function whenever the structure
+       * of the records changes.
+       */
+      version: NGN.const(NGN.coalesce(cfg.version, 1)),
+
+      /**
+       * @cfg {object} [migrations]
+       * Functions that upgrade stored records, keyed by the schema version
+       * they upgrade to. Each function receives a stored record and returns
+       * the upgraded record (or `null` to discard it). When the stored data
+       * is more than one version old, each migration is applied in order.
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.LocalProxy({
+       *   namespace: 'people',
+       *   version: 3,
+       *   migrations: {
+       *     2: function (record) {
+       *       record.email = record.email.toLowerCase()
+       *       return record
+       *     },
+       *     3: function (record) {
+       *       return record.active ? record : null
+       *     }
+       *   }
+       * })
+       * ```
+       */
+      migrations: NGN.privateconst(cfg.migrations || {}),
+
+      /**
+       * @cfg {string} [storage]
+       * Force the use of `indexeddb` or `localstorage`. By default,
+       * IndexedDB is used when available, falling back to `localStorage`
+       * if it is unavailable or cannot be opened. When another window has
+       * an older version of the database open, the storage is not opened
+       * until that window closes it (see the `local.blocked` event).
+       */
+      preferredStorage: NGN.privateconst(NGN.coalesce(cfg.storage, null)),
+
+      /**
+       * @property {string} storage
+       * The storage mechanism in use (`indexeddb` or `localstorage`). This
+       * is `null` until the storage is opened by the first #save or #fetch.
+       * @readonly
+       */
+      storage: NGN._get(function () {
+        return this.backend.name
+      }),
+
+      backend: NGN.private({
+        name: null,
+        ready: null
+      }),
+
+      /**
+       * @method open
+       * Open (and, if necessary, migrate) the storage.
+       * @returns {Promise}
+       * Resolves with the storage backend.
+       * @fires local.blocked
+       * Fired with the `namespace` and `database` name when the IndexedDB
+       * database cannot be upgraded because another window has an older
+       * version open.
+       * @private
+       */
+      open: NGN.privateconst(function () {
+        if (this.backend.ready !== null) {
+          return this.backend.ready
+        }
+
+        var attempt = function (name) {
+          var backend = backends[name](me)
+
+          return backend.open().then(function () {
+            me.backend.name = name
+            return backend
+          })
+        }
+
+        if (this.preferredStorage !== null) {
+          this.backend.ready = attempt(this.preferredStorage.toLowerCase())
+        } else if (window.indexedDB) {
+          this.backend.ready = attempt('indexeddb').catch(function () {
+            return attempt('localstorage')
+          })
+        } else {
+          this.backend.ready = attempt('localstorage')
+        }
+
+        this.backend.ready.catch(function () {
+          me.backend.ready = null
+        })
+
+        return this.backend.ready
+      }),
+
+      /**
+       * @method save
+       * Persist all created, updated and deleted records to the browser.
+       *
+       * ```js
+       * MyStore.proxy.save().then(function (result) {
+       *   console.log(result.created, result.updated, result.deleted)
+       * })
+       * ```
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with an object containing the number of records
+       * `created`, `updated` and `deleted`. For compatibility with
+       * NGNX.DATA.HttpProxy#save, the result also contains `queued` and
+       * `conflicts` (always `0`) and an empty array of `responses`.
+       * @fires save.error
+       * Fired with the `message`, `action` and `error` when the records
+       * cannot be written.
+       */
+      save: NGN.define(true, false, false, function (callback) {
+        var puts = []
+        var deletes = []
+        var result = {
+          created: me.actions.create.length,
+          updated: me.actions.update.length,
+          deleted: me.actions.delete.length,
+          queued: 0,
+          conflicts: 0,
+          responses: []
+        }
+
+        me.actions.create.concat(me.actions.update).forEach(function (model) {
+          if (model[me.idField] === null || model[me.idField] === undefined) {
+            model[me.idField] = uuid()
+          }
+
+          var data = model.data
+          data[me.idField] = model[me.idField]
+          puts.push(data)
+        })
+
+        me.actions.delete.forEach(function (model) {
+          deletes.push(model[me.idField])
+        })
+
+        var promise = me.open().then(function (backend) {
+          return backend.write(puts, deletes)
+        }).then(function () {
+          return result
+        }, function (err) {
+          NGN.emit('save.error', {
+            message: err.message,
+            action: 'save',
+            error: err
+          })
+
+          throw err
+        })
+
+        if (NGN.isFn(callback)) {
+          promise.then(function (result) {
+            callback(null, result)
+          }, function (err) {
+            callback(err)
+          })
+        }
+
+        return promise
+      }),
+
+      /**
+       * @method fetch
+       * Load all of the persisted records into the store.
+       *
+       * ```js
+       * MyStore.proxy.fetch().then(function (result) {
+       *   console.log(result.data)
+       * })
+       * ```
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with an object containing the array of records (`data`).
+       * For compatibility with NGNX.DATA.HttpProxy#fetch, the result also
+       * contains `meta` and `status` (always `null`), `hasMore`, `cached`
+       * and `stale` (always `false`).
+       * @fires fetch.error
+       * Fired with the error when the records cannot be read.
+       */
+      fetch: NGN.define(true, false, false, function (callback) {
+        var promise = me.open().then(function (backend) {
+          return backend.all()
+        }).then(function (records) {
+          me.store.reload(records)
+
+          return {
+            data: records,
+            meta: null,
+            status: null,
+            hasMore: false,
+            cached: false,
+            stale: false
+          }
+        }, function (err) {
+          NGN.emit('fetch.error', err)
+          throw err
+        })
+
+        if (NGN.isFn(callback)) {
+          promise.then(function (result) {
+            callback(null, result)
+          }, function (err) {
+            callback(err)
+          })
+        }
+
+        return promise
+      }),
+
+      /**
+       * @method clear
+       * Remove all of the persisted records (the store is not modified).
+       * @returns {Promise}
+       */
+      clear: NGN.const(function () {
+        return me.replace([])
+      }),
+
+      /**
+       * @method replace
+       * Replace all of the persisted records (the store is not modified).
+       * The new records are written and the remaining records are removed
+       * at the same time, so the persisted records are unchanged if the
+       * write fails.
+       * @param {Array} records
+       * The record data to persist.
+       * @returns {Promise}
+       */
+      replace: NGN.const(function (records) {
+        return me.open().then(function (backend) {
+          return backend.all().then(function (existing) {
+            var ids = records.map(function (record) {
+              return String(record[me.idField])
+            })
+
+            var deletes = existing.map(function (record) {
+              return record[me.idField]
+            }).filter(function (id) {
+              return ids.indexOf(String(id)) < 0
+            })
+
+            return backend.write(records, deletes)
+          })
+        })
+      }),
+
+      /**
+       * @method write
+       * Persist individual records and remove others (the store is not
+       * modified).
+       * @param {Array} records
+       * The record data to persist.
+       * @param {Array} [deletes]
+       * The IDs of the records to remove.
+       * @returns {Promise}
+       */
+      write: NGN.const(function (records, deletes) {
+        return me.open().then(function (backend) {
+          return backend.write(records, deletes || [])
+        })
+      })
+    })
+  }
+
+  NGN.inherit(NGN.DATA.Proxy, NGNX.DATA.LocalProxy)
+} else {
+  throw new Error('NGN.DATA.Proxy is required for NGNX.DATA.LocalProxy.')
+}
@@ -0,0 +1,631 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.OfflineProxy
+ * An offline-first proxy that combines an NGNX.DATA.LocalProxy with an
+ * NGNX.DATA.HttpProxy. Changes are written to the browser immediately and
+ * recorded in a change log, which is synchronized with the remote server
+ * whenever it is reachable.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.OfflineProxy({
+ *     namespace: 'people',
+ *     remote: {
+ *       url: 'https://api.domain.com/people',
+ *       concurrency: {
+ *         versionField: 'version'
+ *       }
+ *     },
+ *     conflict: 'server'
+ *   })
+ * })
+ *
+ * People.proxy.save().then(function (result) {
+ *   console.log(result.queued + ' changes waiting to be synchronized.')
+ * })
+ * ```
+ *
+ * The change log is synchronized after each #save, when the browser comes
+ * back `online` and when the application becomes visible again (the
+ * `state.visible` event). Multiple changes to the same record are combined,
+ * so only the latest state of each record is sent.
+ * @extends NGN.DATA.Proxy
+ */
+if (NGN.DATA.Proxy && NGNX.DATA.util && NGNX.DATA.HttpProxy && NGNX.DATA.LocalProxy) {
+  // Combine the change log entries of each record into a single change.
+  const compact = function (entries) {
+    var changes = {}
+    var order = []
+
+    entries.forEach(function (entry) {
+      var key = String(entry.id)
+      var prior = changes[key]
+
+      if (prior === undefined) {
+        order.push(key)
+        changes[key] = entry
+        return
+      }
+
+      if (entry.action === 'delete') {
+        changes[key] = prior.action === 'create' ? null : entry
+      } else if (prior === null) {
+        changes[key] = { action: 'create', id: entry.id, data: entry.data, seq: entry.seq }
+      } else {
+        changes[key] = { action: prior.action === 'delete' ? 'update' : prior.action, id: entry.id, data: entry.data, seq: entry.seq }
+      }
+    })
+
+    return order.map(function (key) {
+      return changes[key]
+    }).filter(function (change) {
+      return change !== null
+    })
+  }
+
+  // Create a stand-in model for a change log entry, so it can be saved by
+  // an HttpProxy after the original record has changed or been removed.
+  const snapshot = function (change, idField) {
+    var model = {}
+
+    Object.keys(change.data || {}).forEach(function (key) {
+      model[key] = change.data[key]
+    })
+
+    model[idField] = change.id
+
+    Object.defineProperty(model, 'data', {
+      enumerable: false,
+      get: function () {
+        var data = {}
+
+        Object.keys(model).forEach(function (key) {
+          data[key] = model[key]
+        })
+
+        return data
+      }
+    })
+
+    return model
+  }
+
+  // The built-in conflict policies.
+  const policies = {
+    client: function () {
+      return 'client'
+    },
+
+    server: function () {
+      return 'server'
+    }
+  }
+
+  // The proxies that synchronize automatically, keyed by namespace. A proxy
+  // replaces an older one with the same namespace, since they share the
+  // change log. A single set of listeners synchronizes all of them.
+  const proxies = {}
+
+  const synchronize = function () {
+    Object.keys(proxies).forEach(function (namespace) {
+      proxies[namespace].sync()
+    })
+  }
+
+  /**
+   * @event offline.connectivity
+   * Fired with the `online` status when the browser loses or regains
+   * network connectivity.
+   */
+  ;['online', 'offline'].forEach(function (status) {
+    window.addEventListener(status, function () {
+      NGN.emit('offline.connectivity', {
+        online: status === 'online'
+      })
+
+      if (status === 'online') {
+        synchronize()
+      }
+    })
+  })
+
+  NGN.BUS.on('state.visible', synchronize)
+
+  window.NGNX.DATA.OfflineProxy = function (cfg) {
+    cfg = cfg || {}
+
+    if (!cfg.namespace) {
+      throw new Error('NGNX.DATA.OfflineProxy requires a namespace.')
+    }
+
+    if (!cfg.remote) {
+      throw new Error('NGNX.DATA.OfflineProxy requires a remote HttpProxy.')
+    }
+
+    var conflict = NGN.coalesce(cfg.conflict, 'client')
+
+    if (!NGN.isFn(conflict) && !policies.hasOwnProperty(conflict)) {
+      throw new Error('Unrecognized OfflineProxy conflict policy: ' + conflict)
+    }
+
+    this.constructor(cfg)
+    var me = this
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} namespace (required)
+       * A name that uniquely identifies the store's data and change log
+       * within the browser (see NGNX.DATA.LocalProxy#namespace).
+       */
+      namespace: NGN.const(cfg.namespace),
+
+      /**
+       * @cfg {string} [idField=id]
+       * The model field that uniquely identifies each record.
+       */
+      idField: NGN.privateconst(NGN.coalesce(cfg.idField, 'id')),
+
+      /**
+       * @cfg {string|function} [conflict=client]
+       * Determines how conflicts reported by the remote server are
+       * resolved (see NGNX.DATA.HttpProxy#concurrency):
+       *
+       * - `client`: The local changes overwrite the server.
+       * - `server`: The local changes are discarded and the server version
+       * of the record is applied to the store.
+       * - A function that receives the conflict and returns `client`,
+       * `server` or the merged record data.
+       *
+       * Conflicts are only detected when the remote server supports
+       * `If-Match` requests. The policy applies when #remote is a
+       * configuration object. Otherwise, the `concurrency` configuration
+       * of the HttpProxy is used.
+       */
+      conflict: NGN.privateconst(NGN.isFn(conflict) ? conflict : policies[conflict]),
+
+      /**
+       * @cfg {boolean} [autoSync=true]
+       * Synchronize the change log automatically. When disabled, #sync
+       * must be called. Only the most recently created proxy of a
+       * #namespace synchronizes automatically when the browser comes back
+       * `online` or the application becomes visible.
+       */
+      autoSync: NGN.privateconst(NGN.coalesce(cfg.autoSync, true)),
+
+      /**
+       * @cfg {object|NGNX.DATA.LocalProxy} [local]
+       * Additional NGNX.DATA.LocalProxy configuration options (such as
+       * `version` and `migrations`), or an existing LocalProxy.
+       * @readonly
+       */
+      local: NGN.const(cfg.local && NGN.isFn(cfg.local.save) ? cfg.local : (function () {
+        var options = {}
+
+        Object.keys(cfg.local || {}).forEach(function (key) {
+          options[key] = cfg.local[key]
+        })
+
+        options.namespace = cfg.namespace
+        options.idField = NGN.coalesce(cfg.idField, 'id')
+
+        return new NGNX.DATA.LocalProxy(options)
+      })()),
+
+      /**
+       * @cfg {object|NGNX.DATA.HttpProxy} remote (required)
+       * The NGNX.DATA.HttpProxy configuration, or an existing HttpProxy
+       * (including proxies built on it, such as NGNX.DATA.JsonApiProxy).
+       * The change log is sent with NGNX.DATA.HttpProxy#persist, so
+       * NGNX.DATA.GraphQLProxy is not supported. The `queue` option of the
+       * HttpProxy should not be used, since the change log serves the same
+       * purpose.
+       * @readonly
+       */
+      remote: NGN.const(NGN.isFn(cfg.remote.save) ? cfg.remote : (function () {
+        var options = {}
+
+        Object.keys(cfg.remote).forEach(function (key) {
+          options[key] = cfg.remote[key]
+        })
+
+        options.idField = NGN.coalesce(options.idField, cfg.idField)
+
+        var concurrency = options.concurrency === true ? {} : options.concurrency
+
+        if (NGN.typeof(concurrency) === 'object') {
+          options.concurrency = {
+            versionField: concurrency.versionField,
+            resolve: NGN.isFn(concurrency.resolve) ? concurrency.resolve : function (e) {
+              return me.conflict(e)
+            }
+          }
+        }
+
+        return new NGNX.DATA.HttpProxy(options)
+      })()),
+
+      /**
+       * @property {boolean} online
+       * Indicates the browser has network connectivity.
+       * @readonly
+       */
+      online: NGN._get(function () {
+        return !(window.navigator !== undefined && window.navigator.onLine === false)
+      }),
+
+      /**
+       * @property {number} pending
+       * The number of changes waiting to be synchronized.
+       * @readonly
+       */
+      pending: NGN._get(function () {
+        return compact(this.entries).length
+      }),
+
+      // The localStorage key of the change log.
+      logkey: NGN._get(function () {
+        return this.local.prefix + this.namespace + '.changelog'
+      }),
+
+      /**
+       * @property {Array} entries
+       * The change log entries (oldest first).
+       * @readonly
+       * @private
+       */
+      entries: NGN._get(function () {
+        var content = window.localStorage.getItem(this.logkey)
+
+        return content === null ? [] : JSON.parse(content)
+      }),
+
+      /**
+       * @method record
+       * Add the store's pending changes to the change log.
+       * @param {object} actions
+       * The `create`, `update` and `delete` models.
+       * @private
+       */
+      record: NGN.privateconst(function (actions) {
+        var entries = this.entries
+        var seq = entries.length > 0 ? entries[entries.length - 1].seq : 0
+
+        ;['create', 'update', 'delete'].forEach(function (action) {
+          actions[action].forEach(function (model) {
+            seq++
+            entries.push({
+              seq: seq,
+              action: action,
+              id: model[me.idField],
+              data: action === 'delete' ? null : model.data,
+              time: Date.now()
+            })
+          })
+        })
+
+        window.localStorage.setItem(this.logkey, JSON.stringify(entries))
+      }),
+
+      /**
+       * @method forget
+       * Remove synchronized entries from the change log.
+       * @param {Array} changes
+       * The synchronized (compacted) changes.
+       * @private
+       */
+      forget: NGN.privateconst(function (changes) {
+        var done = {}
+
+        changes.forEach(function (change) {
+          done[String(change.id)] = change.seq
+        })
+
+        var entries = this.entries.filter(function (entry) {
+          var seq = done[String(entry.id)]
+          return seq === undefined || entry.seq > seq
+        })
+
+        window.localStorage.setItem(this.logkey, JSON.stringify(entries))
+      }),
+
+      syncing: NGN.private(null),
+
+      /**
+       * @method sync
+       * Send the change log to the remote server. Changes that cannot reach
+       * the server (or receive a `408`, `429` or `5xx` response) are kept in
+       * the change log and retried by the next synchronization. Changes the
+       * server rejects with any other `4xx` response are removed from the
+       * change log and reported with the `offline.sync.error` event.
+       * Records modified by the server (server-assigned IDs, conflicts
+       * resolved in favor of the server, etc) are updated in the store and
+       * the browser.
+       * @returns {Promise}
+       * Resolves with an object containing the number of changes `synced`,
+       * the number that `failed` (including those `rejected`), the number
+       * that were `rejected`, the number of `conflicts` that were resolved
+       * and the number still `pending`.
+       * @fires offline.sync.start
+       * Fired with the number of `pending` changes when synchronization
+       * begins.
+       * @fires offline.sync.complete
+       * Fired with the same payload the Promise resolves with.
+       * @fires offline.sync.error
+       * Fired with the `error` when changes could not be synchronized, or
+       * the synchronized records could not be written to the browser. The
+       * `rejected` attribute lists the `change` (`action`, `id` and `data`),
+       * the response `status` and the `error` of each change the server
+       * rejected.
+       */
+      sync: NGN.const(function () {
+        if (me.syncing !== null) {
+          return me.syncing
+        }
+
+        var changes = compact(me.entries)
+
+        if (changes.length === 0 || !me.online) {
+          return Promise.resolve({
+            synced: 0,
+            failed: 0,
+            rejected: 0,
+            conflicts: 0,
+            pending: changes.length
+          })
+        }
+
+        NGN.emit('offline.sync.start', {
+          pending: changes.length
+        })
+
+        var models = changes.map(function (change) {
+          return snapshot(change, me.idField)
+        })
+        var changeset = {
+          create: [],
+          update: [],
+          delete: []
+        }
+
+        changes.forEach(function (change, i) {
+          changeset[change.action].push(models[i])
+        })
+
+        var done = function (result, error) {
+          var succeeded = []
+          var rejected = []
+          var responses = result !== undefined ? result.responses : []
+
+          responses.forEach(function (response) {
+            var i = models.indexOf(response.model)
+            var status = response.status
+
+            if (i < 0) {
+              return
+            }
+
+            if ((status >= 200 && status < 300) || response.resolution === 'server' || (response.action === 'delete' && status === 404)) {
+              succeeded.push(i)
+            } else if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+              rejected.push({
+                change: changes[i],
+                status: status,
+                error: (error && error.errors ? error.errors : []).filter(function (err) {
+                  return err.model === models[i]
+                }).concat(null)[0]
+              })
+            }
+          })
+
+          // Changes the server rejected will never succeed, so they are
+          // removed from the change log along with the synchronized ones.
+          me.forget(succeeded.map(function (i) {
+            return changes[i]
+          }).concat(rejected.map(function (rejection) {
+            return rejection.change
+          })))
+
+          // Apply server modifications to the store and the browser.
+          var puts = []
+          var deletes = []
+
+          succeeded.forEach(function (i) {
+            var change = changes[i]
+
+            if (change.action === 'delete') {
+              return
+            }
+
+            var data = models[i].data
+            var record = me.store ? NGNX.DATA.util.locate(me.store, me.idField, change.id) : null
+
+            if (String(data[me.idField]) !== String(change.id)) {
+              deletes.push(change.id)
+            }
+
+            puts.push(data)
+
+            if (record !== null) {
+              Object.keys(data).forEach(function (key) {
+                if ((key === me.idField || record.hasOwnProperty(key)) && record[key] !== data[key]) {
+                  record[key] = data[key]
+                }
+              })
+            }
+          })
+
+          var summary = {
+            synced: succeeded.length,
+            failed: changes.length - succeeded.length,
+            rejected: rejected.length,
+            conflicts: result !== undefined ? result.conflicts : 0,
+            pending: me.pending
+          }
+
+          var report = function (err) {
+            NGN.emit('offline.sync.error', {
+              error: err,
+              rejected: rejected,
+              synced: summary.synced,
+              failed: summary.failed,
+              conflicts: summary.conflicts,
+              pending: summary.pending
+            })
+          }
+
+          if (error !== undefined) {
+            report(error)
+          }
+
+          // The changes are already synchronized, so failing to store the
+          // server's version of the records in the browser is only reported.
+          return me.local.write(puts, deletes).catch(function (err) {
+            report(err)
+          }).then(function () {
+            NGN.emit('offline.sync.complete', summary)
+
+            return summary
+          })
+        }
+
+        var promise = me.remote.persist(changeset).then(function (result) {
+          return done(result)
+        }, function (err) {
+          return done(err.result, err)
+        })
+
+        me.syncing = promise.then(function (summary) {
+          me.syncing = null
+          return summary
+        }, function (err) {
+          me.syncing = null
+          throw err
+        })
+
+        return me.syncing
+      }),
+
+      /**
+       * @method save
+       * Write all created, updated and deleted records to the browser and
+       * add them to the change log, then synchronize the change log (see
+       * #autoSync).
+       *
+       * ```js
+       * MyStore.proxy.save().then(function (result) {
+       *   console.log(result.created, result.queued)
+       * })
+       * ```
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves once the records are written to the browser (and, when
+       * online, synchronized), with the same shape as
+       * NGNX.DATA.HttpProxy#save. `queued` is the number of changes still
+       * waiting to be synchronized and `conflicts` is the number of
+       * conflicts resolved while synchronizing. Synchronization errors do not reject
+       * the Promise, since the changes are retained in the change log.
+       */
+      save: NGN.define(true, false, false, function (callback) {
+        var actions = me.actions
+        var changes = {
+          create: actions.create.slice(),
+          update: actions.update.slice(),
+          delete: actions.delete.slice()
+        }
+
+        var promise = me.local.save().then(function (result) {
+          me.record(changes)
+
+          return (me.autoSync ? me.sync() : Promise.resolve(null)).then(function (summary) {
+            result.queued = me.pending
+            result.conflicts = summary !== null ? summary.conflicts : 0
+            return result
+          })
+        })
+
+        if (NGN.isFn(callback)) {
+          promise.then(function (result) {
+            callback(null, result)
+          }, function (err) {
+            callback(err)
+          })
+        }
+
+        return promise
+      }),
+
+      /**
+       * @method fetch
+       * Load the records stored in the browser. When online, the change log
+       * is synchronized and the records are then retrieved from the remote
+       * server and written to the browser. If changes could not be
+       * synchronized, the records stored in the browser are kept so the
+       * changes are not lost.
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with the result of NGNX.DATA.LocalProxy#fetch, or
+       * NGNX.DATA.HttpProxy#fetch when the remote records were retrieved.
+       */
+      fetch: NGN.define(true, false, false, function (callback) {
+        var promise = me.local.fetch().then(function (local) {
+          if (!me.online) {
+            return local
+          }
+
+          return me.sync().then(function (summary) {
+            if (summary.pending > 0) {
+              return local
+            }
+
+            return me.remote.fetch().then(function (remote) {
+              return me.local.replace(remote.data).then(function () {
+                return remote
+              })
+            }, function () {
+              return local
+            })
+          })
+        })
+
+        if (NGN.isFn(callback)) {
+          promise.then(function (result) {
+            callback(null, result)
+          }, function (err) {
+            callback(err)
+          })
+        }
+
+        return promise
+      }),
+
+      /**
+       * @method init
+       * Attach the proxy (and its #local and #remote proxies) to a store.
+       * @param {NGN.DATA.Store} store
+       * @private
+       */
+      init: NGN.privateconst(function (store) {
+        NGN.DATA.Proxy.prototype.init.call(this, store)
+        NGN.DATA.Proxy.prototype.init.call(this.local, store)
+        NGN.DATA.Proxy.prototype.init.call(this.remote, store)
+      })
+    })
+
+    if (this.autoSync) {
+      proxies[this.namespace] = this
+    }
+  }
+
+  NGN.inherit(NGN.DATA.Proxy, NGNX.DATA.OfflineProxy)
+} else {
+  throw new Error('NGN.DATA.Proxy, NGNX.DATA.util, NGNX.DATA.HttpProxy & NGNX.DATA.LocalProxy are required for NGNX.DATA.OfflineProxy.')
+}
@@ -0,0 +1,205 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.util
+ * Helpers shared by the NGNX.DATA proxies.
+ * @singleton
+ * @private
+ */
+window.NGNX.DATA.util = Object.defineProperties({}, {
+  /**
+   * @method respond
+   * Apply an optional node-style callback to a promise.
+   * @param {Promise} promise
+   * @param {function} [callback]
+   * Receives an error (or `null`) and the result.
+   * @returns {Promise}
+   * The promise.
+   */
+  respond: NGN.const(function (promise, callback) {
+    if (NGN.isFn(callback)) {
+      promise.then(function (result) {
+        callback(null, result)
+      }, function (err) {
+        callback(err)
+      })
+
+      // The callback handles a rejection, so callers that do not use the
+      // Promise are not left with an unhandled rejection.
+      promise.catch(function () {})
+    }
+
+    return promise
+  }),
+
+  /**
+   * @method resolve
+   * Retrieve a value from an object using a dot-delimited path.
+   * @param {object} obj
+   * @param {string} [path]
+   * The path, such as `data.people`. Without a path, the object itself
+   * is returned.
+   * @returns {any}
+   * The value, or `undefined` if the path does not exist.
+   */
+  resolve: NGN.const(function (obj, path) {
+    if (path === null || path === undefined || path === '') {
+      return obj
+    }
+
+    return path.split('.').reduce(function (value, key) {
+      return value !== null && value !== undefined ? value[key] : undefined
+    }, obj)
+  }),
+
+  /**
+   * @method apply
+   * Copy server-provided values (such as a server-assigned `id`) onto the
+   * existing fields of a model.
+   * @param {NGN.DATA.Model} model
+   * @param {object} data
+   */
+  apply: NGN.const(function (model, data) {
+    if (NGN.typeof(data) !== 'object') {
+      return
+    }
+
+    Object.keys(data).forEach(function (key) {
+      if (key === 'id' || model.hasOwnProperty(key)) {
+        model[key] = data[key]
+      }
+    })
+  }),
+
+  /**
+   * @method reconnectPolicy
+   * Normalize the `reconnect` configuration of a streaming proxy (see
+   * NGNX.DATA.WebSocketProxy#reconnect).
+   * @param {boolean|object} [cfg]
+   * `false` to disable reconnection, or an object with any of the
+   * `attempts`, `delay`, `factor` and `maxDelay` attributes.
+   * @returns {object}
+   * The policy, or `null` if reconnection is disabled.
+   */
+  reconnectPolicy: NGN.const(function (cfg) {
+    if (cfg === false) {
+      return null
+    }
+
+    var options = NGN.typeof(cfg) === 'object' ? cfg : {}
+
+    return {
+      attempts: NGN.coalesce(options.attempts, Infinity),
+      delay: NGN.coalesce(options.delay, 1000),
+      factor: NGN.coalesce(options.factor, 2),
+      maxDelay: NGN.coalesce(options.maxDelay, 30000)
+    }
+  }),
+
+  /**
+   * @method backoff
+   * Calculate the delay before a reconnection attempt.
+   * @param {object} policy
+   * The #reconnectPolicy.
+   * @param {number} attempts
+   * The number of consecutive attempts already made.
+   * @returns {number}
+   * The delay in milliseconds.
+   */
+  backoff: NGN.const(function (policy, attempts) {
+    return Math.min(policy.delay * Math.pow(policy.factor, attempts), policy.maxDelay)
+  }),
+
+  /**
+   * @method transition
+   * Change the connection state of a streaming proxy and announce it with
+   * a `<namespace>.state` and a `<namespace>.<state>` event. The payload
+   * contains the `state`, `url` and `proxy`, plus the attributes of
+   * `detail`.
+   * @param {NGN.DATA.Proxy} proxy
+   * The proxy, which must have a `connection` object.
+   * @param {string} namespace
+   * The event namespace, such as `websocket`.
+   * @param {string} state
+   * @param {object} [detail]
+   */
+  transition: NGN.const(function (proxy, namespace, state, detail) {
+    proxy.connection.state = state
+
+    var payload = {
+      state: state,
+      url: proxy.url,
+      proxy: proxy
+    }
+
+    Object.keys(detail || {}).forEach(function (key) {
+      payload[key] = detail[key]
+    })
+
+    NGN.emit(namespace + '.state', payload)
+    NGN.emit(namespace + '.' + state, payload)
+  }),
+
+  /**
+   * @method locate
+   * Find the record of a store with the specified ID.
+   * @param {NGN.DATA.Store} store
+   * @param {string} idField
+   * The model field containing the ID.
+   * @param {any} id
+   * @returns {NGN.DATA.Model}
+   * The record, or `null` if it is not in the store.
+   */
+  locate: NGN.const(function (store, idField, id) {
+    var records = store.records
+
+    for (var i = 0; i < records.length; i++) {
+      if (String(records[i][idField]) === String(id)) {
+        return records[i]
+      }
+    }
+
+    return null
+  }),
+
+  /**
+   * @method applyChange
+   * Apply a record change received from a server to a store. A `load`
+   * replaces all of the records with the array of `data`. A `delete` only
+   * requires the ID. A `create` or `update` adds the record, or updates the
+   * fields of the existing record with the same ID.
+   * @param {NGN.DATA.Store} store
+   * @param {string} idField
+   * The model field containing the ID.
+   * @param {string} action
+   * `create`, `update`, `delete` or `load`.
+   * @param {object|Array} data
+   */
+  applyChange: NGN.const(function (store, idField, action, data) {
+    if (action === 'load') {
+      store.reload(Array.isArray(data) ? data : [])
+      return
+    }
+
+    data = data || {}
+
+    var record = NGNX.DATA.util.locate(store, idField, data[idField])
+
+    if (action === 'delete') {
+      if (record !== null) {
+        store.remove(record)
+      }
+    } else if (record === null) {
+      store.add(data)
+    } else {
+      Object.keys(data).forEach(function (key) {
+        if (key !== idField && record.hasOwnProperty(key)) {
+          record[key] = data[key]
+        }
+      })
+    }
+  })
+})
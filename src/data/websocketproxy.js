@@ -0,0 +1,443 @@
+'use strict'
+
+window.NGNX = window.NGNX || {}
+window.NGNX.DATA = window.NGNX.DATA || {}
+
+/**
+ * @class NGNX.DATA.WebSocketProxy
+ * Keeps a store synchronized with a remote server over a WebSocket.
+ *
+ * ```js
+ * let People = new NGN.DATA.Store({
+ *   model: Person,
+ *   proxy: new NGNX.DATA.WebSocketProxy({
+ *     url: 'wss://api.domain.com/people'
+ *   })
+ * })
+ *
+ * NGN.BUS.on('websocket.state', function (e) {
+ *   console.log(e.state) // connecting, open, reconnecting or closed
+ * })
+ * ```
+ *
+ * The connection is opened when the proxy is attached to a store. Each
+ * message is a JSON object with an `action` and `data`:
+ *
+ * ```js
+ * { "action": "create", "data": { "id": "1", "name": "Corey" } }
+ * { "action": "update", "data": { "id": "1", "name": "Graham" } }
+ * { "action": "delete", "data": { "id": "1" } }
+ * { "action": "load", "data": [{ "id": "1", "name": "Corey" }] }
+ * ```
+ *
+ * Messages pushed by the server are applied to the store (`load` replaces
+ * all of the records). Records created, updated or deleted locally are
+ * sent to the server in the same format, unless #live is disabled, in
+ * which case they are sent by #save. Messages sent while disconnected are
+ * held until the connection is restored.
+ * @extends NGN.DATA.Proxy
+ */
+if (NGN.DATA.Proxy && NGNX.DATA.util) {
+  window.NGNX.DATA.WebSocketProxy = function (cfg) {
+    cfg = cfg || {}
+
+    this.constructor(cfg)
+    var me = this
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string|Array} [protocols]
+       * The WebSocket sub-protocol(s).
+       */
+      protocols: NGN.privateconst(NGN.coalesce(cfg.protocols, null)),
+
+      /**
+       * @cfg {string} [idField=id]
+       * The model field used to match server messages to records.
+       */
+      idField: NGN.privateconst(NGN.coalesce(cfg.idField, 'id')),
+
+      /**
+       * @cfg {boolean} [live=true]
+       * Send local record changes to the server as they occur. When
+       * disabled, local changes are only sent by #save.
+       */
+      live: NGN.privateconst(NGN.coalesce(cfg.live, true)),
+
+      /**
+       * @cfg {boolean} [autoConnect=true]
+       * Open the connection when the proxy is attached to a store.
+       * Otherwise, #connect must be called.
+       */
+      autoConnect: NGN.privateconst(NGN.coalesce(cfg.autoConnect, true)),
+
+      /**
+       * @cfg {boolean|object} [reconnect=true]
+       * Reconnect with an exponential backoff when the connection is lost.
+       * Set to `false` to disable, or provide an object:
+       *
+       * ```js
+       * let proxy = new NGNX.DATA.WebSocketProxy({
+       *   url: 'wss://api.domain.com/people',
+       *   reconnect: {
+       *     attempts: 10,
+       *     delay: 1000,
+       *     factor: 2,
+       *     maxDelay: 30000
+       *   }
+       * })
+       * ```
+       *
+       * - `attempts` (default `Infinity`): The maximum number of consecutive
+       * reconnection attempts.
+       * - `delay` (default `1000`): The milliseconds before the first attempt.
+       * - `factor` (default `2`): The multiplier applied to the delay after
+       * each failed attempt.
+       * - `maxDelay` (default `30000`): The maximum milliseconds between
+       * attempts.
+       */
+      reconnect: NGN.privateconst(NGNX.DATA.util.reconnectPolicy(cfg.reconnect)),
+
+      /**
+       * @cfg {function} [parse]
+       * A function that receives the raw data of each server message and
+       * returns an object with an `action` and `data`. Return `null` to
+       * ignore the message. By default, messages are parsed as JSON.
+       */
+      parse: NGN.privateconst(NGN.isFn(cfg.parse) ? cfg.parse : function (raw) {
+        return JSON.parse(raw)
+      }),
+
+      /**
+       * @cfg {function} [serialize]
+       * A function that receives the `action` and `data` of a local change
+       * and returns the message sent to the server. By default, messages are
+       * sent as JSON.
+       */
+      serialize: NGN.privateconst(NGN.isFn(cfg.serialize) ? cfg.serialize : function (action, data) {
+        return JSON.stringify({
+          action: action,
+          data: data
+        })
+      }),
+
+      /**
+       * @property {string} state
+       * The connection state: `connecting`, `open`, `reconnecting` or
+       * `closed`.
+       * @readonly
+       */
+      state: NGN._get(function () {
+        return this.connection.state
+      }),
+
+      connection: NGN.private({
+        state: 'closed',
+        socket: null,
+        attempts: 0,
+        timer: null,
+        manual: false,
+        reopen: false
+      }),
+
+      // Messages waiting for the connection to open.
+      outbox: NGN.private([]),
+
+      // Indicates server changes are being applied to the store.
+      applying: NGN.private(false),
+
+      /**
+       * @method transition
+       * Change the connection #state.
+       * @param {string} state
+       * @param {object} [detail]
+       * Additional attributes of the event payload.
+       * @fires websocket.state
+       * Fired with the `state`, `url` and `proxy` whenever the state
+       * changes. A `websocket.<state>` event (such as `websocket.open`) is
+       * also fired with the same payload.
+       * @private
+       */
+      transition: NGN.privateconst(function (state, detail) {
+        NGNX.DATA.util.transition(this, 'websocket', state, detail)
+      }),
+
+      /**
+       * @method connect
+       * Open the WebSocket connection. This is done automatically when the
+       * proxy is attached to a store (see #autoConnect). If the connection
+       * is still closing after #disconnect, it is opened again once it is
+       * closed.
+       */
+      connect: NGN.const(function () {
+        if (me.connection.socket !== null) {
+          me.connection.reopen = me.connection.manual
+          return
+        }
+
+        clearTimeout(me.connection.timer)
+        me.connection.manual = false
+
+        if (me.connection.state !== 'reconnecting') {
+          me.connection.attempts = 0
+          me.transition('connecting')
+        }
+
+        var socket = me.protocols !== null ? new window.WebSocket(me.url, me.protocols) : new window.WebSocket(me.url)
+
+        me.connection.socket = socket
+
+        socket.onopen = function () {
+          me.connection.attempts = 0
+          me.transition('open')
+          me.flush()
+        }
+
+        socket.onmessage = function (e) {
+          me.receive(e.data)
+        }
+
+        socket.onerror = function (e) {
+          NGN.emit('websocket.error', {
+            url: me.url,
+            proxy: me,
+            error: e
+          })
+        }
+
+        socket.onclose = function (e) {
+          me.connection.socket = null
+
+          if (me.connection.manual || me.reconnect === null || me.connection.attempts >= me.reconnect.attempts) {
+            me.transition('closed', {
+              code: e.code,
+              reason: e.reason
+            })
+
+            // #connect was called while the connection was closing.
+            if (me.connection.reopen) {
+              me.connection.reopen = false
+              me.connect()
+            }
+
+            return
+          }
+
+          var delay = NGNX.DATA.util.backoff(me.reconnect, me.connection.attempts)
+
+          me.connection.attempts++
+          me.transition('reconnecting', {
+            attempt: me.connection.attempts,
+            delay: delay,
+            code: e.code,
+            reason: e.reason
+          })
+
+          me.connection.timer = setTimeout(function () {
+            me.connect()
+          }, delay)
+        }
+      }),
+
+      /**
+       * @method disconnect
+       * Close the WebSocket connection without reconnecting.
+       */
+      disconnect: NGN.const(function () {
+        clearTimeout(me.connection.timer)
+        me.connection.manual = true
+        me.connection.reopen = false
+
+        if (me.connection.socket !== null) {
+          me.connection.socket.close()
+        } else if (me.connection.state !== 'closed') {
+          me.transition('closed')
+        }
+      }),
+
+      /**
+       * @method send
+       * Send a change to the server. If the connection is not open, the
+       * message is sent when it opens.
+       * @param {string} action
+       * `create`, `update` or `delete`.
+       * @param {object} data
+       * The record data.
+       * @returns {boolean}
+       * `true` if the message was sent immediately, `false` if it is held
+       * until the connection opens.
+       */
+      send: NGN.const(function (action, data) {
+        var message = me.serialize(action, data)
+
+        if (me.connection.state === 'open') {
+          me.connection.socket.send(message)
+          return true
+        }
+
+        me.outbox.push(message)
+        return false
+      }),
+
+      /**
+       * @method flush
+       * Send the messages held while disconnected.
+       * @private
+       */
+      flush: NGN.privateconst(function () {
+        this.outbox.splice(0).forEach(function (message) {
+          me.connection.socket.send(message)
+        })
+      }),
+
+      /**
+       * @method describe
+       * Generate the data sent to the server for a local change. Deletions
+       * only contain the record ID.
+       * @param {string} action
+       * @param {NGN.DATA.Model} model
+       * @returns {object}
+       * @private
+       */
+      describe: NGN.privateconst(function (action, model) {
+        if (action !== 'delete') {
+          return model.data
+        }
+
+        var data = {}
+        data[this.idField] = model[this.idField]
+
+        return data
+      }),
+
+      /**
+       * @method receive
+       * Apply a server message to the store.
+       * @param {string} raw
+       * The message data.
+       * @fires websocket.message
+       * Fired with the parsed `message` for every server message that is not
+       * a record change.
+       * @fires websocket.error
+       * Fired when a message cannot be parsed.
+       * @private
+       */
+      receive: NGN.privateconst(function (raw) {
+        var message
+
+        try {
+          message = this.parse(raw)
+        } catch (e) {
+          NGN.emit('websocket.error', {
+            url: this.url,
+            proxy: this,
+            error: e,
+            message: raw
+          })
+
+          return
+        }
+
+        if (message === null || message === undefined) {
+          return
+        }
+
+        if (['create', 'update', 'delete', 'load'].indexOf(message.action) < 0 || !this.store) {
+          NGN.emit('websocket.message', {
+            url: this.url,
+            proxy: this,
+            message: message
+          })
+
+          return
+        }
+
+        this.applying = true
+
+        try {
+          NGNX.DATA.util.applyChange(this.store, this.idField, message.action, message.data)
+        } finally {
+          this.applying = false
+        }
+      }),
+
+      /**
+       * @method init
+       * Attach the proxy to a store, listen for local record changes and
+       * open the connection (see #autoConnect).
+       * @param {NGN.DATA.Store} store
+       * @private
+       */
+      init: NGN.privateconst(function (store) {
+        NGN.DATA.Proxy.prototype.init.call(this, store)
+
+        if (this.live) {
+          ;['create', 'update', 'delete'].forEach(function (action) {
+            store.on('record.' + action, function (record) {
+              if (!me.applying) {
+                me.send(action, me.describe(action, record))
+              }
+            })
+          })
+        }
+
+        if (this.autoConnect) {
+          this.connect()
+        }
+      }),
+
+      /**
+       * @method save
+       * Send all created, updated and deleted records to the server. This
+       * is only necessary when #live is disabled. Live changes have already
+       * been sent (or are held until the connection opens), so nothing is
+       * sent again.
+       * @param {function} [callback]
+       * An optional node-style callback, receiving an error (or `null`)
+       * and the result.
+       * @returns {Promise}
+       * Resolves with an object containing the number of records
+       * `created`, `updated` and `deleted`, and the number of messages
+       * `queued` until the connection opens. These are all `0` when #live
+       * is enabled.
+       */
+      save: NGN.define(true, false, false, function (callback) {
+        var result = {
+          created: 0,
+          updated: 0,
+          deleted: 0,
+          queued: 0
+        }
+        var counters = {
+          create: 'created',
+          update: 'updated',
+          delete: 'deleted'
+        }
+
+        if (!me.live) {
+          Object.keys(counters).forEach(function (action) {
+            me.actions[action].forEach(function (model) {
+              var sent = me.send(action, me.describe(action, model))
+
+              result[sent ? counters[action] : 'queued']++
+            })
+          })
+        }
+
+        var promise = Promise.resolve(result)
+
+        if (NGN.isFn(callback)) {
+          promise.then(function (result) {
+            callback(null, result)
+          })
+        }
+
+        return promise
+      })
+    })
+  }
+
+  NGN.inherit(NGN.DATA.Proxy, NGNX.DATA.WebSocketProxy)
+} else {
+  throw new Error('NGN.DATA.Proxy & NGNX.DATA.util are required for NGNX.DATA.WebSocketProxy.')
+}
@@ -177,6 +177,10 @@ if (!NGN) {
          * This means all caching is handled automatically, regardless of which
          * Driver initiates the download. It also allows different drivers to
          * handle the response in a different manner.
+         *
+         * HTML templates loaded with NGNX.Loader are available to every Driver
+         * by name (see NGNX.Loader.templates), unless the Driver defines a
+         * template with the same name.
          */
         templates: NGN.private(cfg.templates || {}),
 
@@ -356,7 +360,7 @@ if (!NGN) {
      * })
      * ```
      * @param {string} name
-     * The name of the template provided in #templates.
+     * The name of the template provided in #templates or loaded by NGNX.Loader.
      * @param {object|NGN.DATA.Model} data
      * The key/value object passed to the NGN.NET.template method.
      * @param {HTMLElement|String} [parent]
@@ -374,8 +378,14 @@ if (!NGN) {
      * inserted into the DOM.
      */
     render (name, data, parent, position, callback) {
+      let template = this.templates[name]
+
       if (!this.templates.hasOwnProperty(name)) {
-        throw new Error('The Driver does not have a reference to a template called ' + name.trim() + '.')
+        if (!NGNX.Loader || !NGNX.Loader.templates || !NGNX.Loader.templates.hasOwnProperty(name)) {
+          throw new Error('The Driver does not have a reference to a template called ' + name.trim() + '.')
+        }
+
+        template = NGNX.Loader.templates[name]
       }
 
       // If a data model was provided, get a representation of it.
@@ -390,7 +400,7 @@ if (!NGN) {
 
       // If the parent is a function, treat it as a callback
       if (typeof parent === 'function') {
-        NGN.NET.template(this.templates[name], data, parent)
+        NGN.NET.template(template, data, parent)
         return
       }
 
@@ -409,7 +419,7 @@ if (!NGN) {
       position = (position || 'beforeend').toLowerCase()
 
       // Import the template.
-      NGN.NET.template(this.templates[name], data, (element) => {
+      NGN.NET.template(template, data, (element) => {
         if (NGN.hasOwnProperty('DOM')) {
           NGN.DOM.svg.update(element, (content) => {
             this.adjustedRender(parent, content, position, callback)
@@ -10,6 +10,94 @@ if (!NGN) {
   } else {
     window.NGNX = window.NGNX || {}
 
+    const types = ['js', 'css', 'json', 'html']
+
+    // The type of a file, from the type configuration or the file extension.
+    const typeOf = (file, type) => {
+      if (type.hasOwnProperty(file)) {
+        return type[file]
+      }
+
+      let extension = file.split(/[?#]/)[0].split('/').pop().split('.').pop().toLowerCase()
+
+      extension = extension === 'htm' ? 'html' : extension
+
+      return types.indexOf(extension) >= 0 ? extension : 'js'
+    }
+
+    const algorithms = {
+      sha256: 'SHA-256',
+      sha384: 'SHA-384',
+      sha512: 'SHA-512'
+    }
+
+    // Verify the bytes of a file against Subresource Integrity metadata (i.e.
+    // `sha384-<base64 digest>`), resolving with an Error describing why
+    // verification failed, or null if the content is verified. As with SRI,
+    // only the hashes of the strongest algorithm are compared.
+    const verify = (url, bytes, metadata) => {
+      let hashes = metadata.trim().split(/\s+/).map((token) => {
+        let match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})/.exec(token)
+
+        return match === null ? null : {
+          algorithm: match[1],
+          digest: match[2]
+        }
+      }).filter((hash) => hash !== null)
+
+      if (hashes.length === 0) {
+        return Promise.resolve(new Error('The integrity of ' + url + ' cannot be verified because "' + metadata + '" does not contain a sha256, sha384 or sha512 hash.'))
+      }
+
+      if (!window.crypto || !window.crypto.subtle) {
+        return Promise.resolve(new Error('The integrity of ' + url + ' cannot be verified because the Web Cryptography API is not available (it requires a secure context).'))
+      }
+
+      let algorithm = Object.keys(algorithms).filter((name) => {
+        return hashes.some((hash) => hash.algorithm === name)
+      }).pop()
+
+      return window.crypto.subtle.digest(algorithms[algorithm], bytes).then((buffer) => {
+        let digest = window.btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)))
+
+        if (hashes.some((hash) => hash.algorithm === algorithm && hash.digest === digest)) {
+          return null
+        }
+
+        return new Error('Integrity verification failed for ' + url + '. Expected ' + hashes.filter((hash) => hash.algorithm === algorithm).map((hash) => algorithm + '-' + hash.digest).join(' or ') + ', but the content hashes to ' + algorithm + '-' + digest + '.')
+      })
+    }
+
+    // Decode the bytes of a file using the charset of the response (UTF-8 by
+    // default). A byte order mark is removed.
+    const decode = (bytes, contentType) => {
+      let charset = /charset=["']?([^;"'\s]+)/i.exec(contentType || '')
+
+      charset = charset === null ? 'utf-8' : charset[1]
+
+      if (window.TextDecoder) {
+        return new window.TextDecoder(charset).decode(bytes)
+      }
+
+      // Browsers without a TextDecoder only support UTF-8.
+      let view = new Uint8Array(bytes)
+      let binary = ''
+
+      for (let i = 0; i < view.length; i += 8192) {
+        binary += String.fromCharCode.apply(null, view.subarray(i, i + 8192))
+      }
+
+      return decodeURIComponent(window.escape(binary)).replace(/^\uFEFF/, '')
+    }
+
+    // The name of a template file, without the path or extension.
+    const templateName = (file) => {
+      return file.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]*$/, '')
+    }
+
+    // The file each template in NGNX.Loader.templates was loaded from.
+    const sources = {}
+
     /**
      * @method NGNX.Loader
      * Load files a/synchronously and fire an event/callback when everything
@@ -67,99 +155,746 @@ if (!NGN) {
      * ```
      * The advantage of using the NGN.BUS method is the listener can exist in
      * a different file from the loader.
+     *
+     * **Example Using a Promise**
+     * ```js
+     * NGNX.Loader({
+     *   sync: ['./path/to/file1.js', './path/to/file2.js'],
+     *   async: ['./path/to/file3.js']
+     * }).then(function (loadedFiles) {
+     *   // Do Something
+     * }).catch(function (err) {
+     *   err.failures.forEach(function (failure) {
+     *     console.log(failure.file, failure.status, failure.stage) // ./path/to/file2.js 404 sync
+     *   })
+     * })
+     * ```
+     * Scripts are added to the document as `<script src>` elements. Other files
+     * are retrieved with an XMLHttpRequest. Files that depend on a failed file
+     * (including the remaining synchronous files and all asynchronous files)
+     * are not loaded.
+     *
+     * The #dependencies graph can be used instead of (or in addition to) the
+     * `sync` and `async` lists to describe which files must be loaded before
+     * others. Synchronous files are treated as a chain of dependencies, and
+     * asynchronous files depend on the entire chain.
      * @param {object} cfg
-     * @param {Function|string} callbackOrEvent
+     * @param {Function|string} [callbackOrEvent]
      * If a function is passed in, it will be run once all files are loaded. If
      * a event name is passed in, it will be triggered on the NGN.BUS once all
      * files are loaded. The callback receives a single array argument containing
      * all of the files loaded. This same argument is sent as a payload to the
-     * event bus.
+     * event bus. When a file fails to load, the callback receives the files
+     * that were loaded and the Error the Promise is rejected with as a second
+     * argument, and the event is not triggered (see load.error).
+     * @returns {Promise}
+     * Resolves with the array of files loaded. The data of `json` files is
+     * available in the `json` attribute of the array (see #type). Rejects
+     * with an Error whose `failures` attribute is an array of objects
+     * describing each `file` that could not be loaded, the last `url`
+     * attempted (see #fallback), its HTTP `status` (`0` if the server could
+     * not be reached, the browser does not report the status of a script, or
+     * the file could not be applied, such as invalid JSON), whether it failed
+     * because of a `timeout`, the
+     * `error` (if any, such as a failed #integrity verification) and the
+     * `stage` (`sync` or `async`) it belonged to. Files that only appear in
+     * the #dependencies graph belong to the `async` stage. The `loaded`
+     * attribute contains the array of files that were loaded. If the
+     * dependency graph contains a cycle, nothing is loaded and the Error has
+     * a `cycle` attribute listing the files involved (i.e.
+     * `['a.js', 'b.js', 'a.js']`). The Promise also has the `sync` and `async`
+     * lists of files as attributes.
      * @fires load.sync
      * Triggered when a file is loaded synchronously. Event handlers will received
      * the name of the file as an argument.
+     * @fires load.progress
+     * Triggered each time a file is loaded. Event handlers receive an object
+     * containing the `file`, the `url` it was loaded from, its `stage`, the
+     * number of files `loaded` so far, the `total` number of files, the size
+     * of the file in `bytes` and the number of `loadedBytes` so far. Sizes are
+     * based on the `Content-Length` header when it is available. The sizes of
+     * scripts and stylesheets are reported by the Resource Timing API, and
+     * are `0` when the browser does not provide them.
+     * @fires load.complete
+     * Triggered with the array of loaded files when all files are loaded.
+     * @fires load.error
+     * Triggered with an object containing the `failures` and the `loaded`
+     * files when any file cannot be loaded, or nothing is loaded because of
+     * an invalid #type. A `cycle` attribute is included when the dependency
+     * graph is circular.
      */
     window.NGNX.Loader = function (cfg, callback) {
       cfg = cfg || {}
 
-      Object.defineProperties(this, {
-        /**
-         * @cfg {Array|String} sync
-         * The files that will be loaded one-by-one. They are loaded in the order
-         * they are specified.
-         */
-        async: NGN.public(cfg.async || []),
-
-        /**
-         * @cfg {Array|String} async
-         * The files that will be loaded asynchronously. They are all loaded at
-         * the same time. Even though this is asynchronous, if a callback is
-         * provided to the Loader, it will not be run until all of the files
-         * are loaded. The point of this method is to reduce time-to-load (parallel
-         * downloads).
-         */
-        sync: NGN.public(cfg.sync || [])
-      })
+      /**
+       * @cfg {Array|String} sync
+       * The files that will be loaded one-by-one. They are loaded in the order
+       * they are specified.
+       */
+      let sync = cfg.sync || []
+
+      /**
+       * @cfg {Array|String} async
+       * The files that will be loaded asynchronously. They are all loaded at
+       * the same time. Even though this is asynchronous, if a callback is
+       * provided to the Loader, it will not be run until all of the files
+       * are loaded. The point of this method is to reduce time-to-load (parallel
+       * downloads).
+       */
+      let async = cfg.async || []
+
+      sync = Array.isArray(sync) ? sync.slice() : [sync]
+      async = Array.isArray(async) ? async.slice() : [async]
+
+      // A file listed more than once is only loaded once. Otherwise, a file
+      // repeated in the synchronous chain would depend on itself.
+      sync = sync.filter((file, index) => sync.indexOf(file) === index)
+      async = async.filter((file, index) => async.indexOf(file) === index)
+
+      // Expose the file lists on the result and report the outcome to the
+      // callback or event. Either one handles a rejection, so callers that do
+      // not use the Promise are not left with an unhandled rejection.
+      const finish = (result) => {
+        Object.defineProperties(result, {
+          sync: NGN.public(sync),
+          async: NGN.public(async)
+        })
 
-      this.async = Array.isArray(this.async) ? this.async : [this.async]
-      this.sync = Array.isArray(this.sync) ? this.sync : [this.sync]
+        if (typeof callback === 'function') {
+          result.then((files) => callback(files), (err) => callback(err.loaded, err))
+        } else if (typeof callback === 'string') {
+          result.then((files) => NGN.BUS.emit(callback, files), () => {})
+        }
 
-      let meta = {
-        sync: this.sync,
-        async: this.async
+        return result
       }
 
-      // Synchronous file loader
-      const loadSync = function (files) {
-        var currentFile = files.shift()
-        NGN.NET.import(currentFile, function () {
-          NGN.BUS.emit('load.sync', currentFile)
+      /**
+       * @cfg {Object} fallback
+       * Alternative URLs for files, keyed by file name. Each value is a URL (or
+       * array of URLs) tried in order when the file cannot be loaded, such as a
+       * local copy of a file hosted on a CDN.
+       *
+       * ```js
+       * NGNX.Loader({
+       *   sync: ['https://cdn.domain.com/lib.min.js'],
+       *   fallback: {
+       *     'https://cdn.domain.com/lib.min.js': './vendor/lib.min.js'
+       *   }
+       * })
+       * ```
+       */
+      let fallback = cfg.fallback || {}
 
-          if (files.length > 0) {
-            loadSync(files)
-          }
+      /**
+       * @cfg {Number} [retries=0]
+       * The number of times a URL is retried when the server cannot be reached,
+       * does not respond within the #timeout, or responds with a `5xx` status.
+       * Other responses (such as a `404`) move on to the next #fallback URL.
+       */
+      let retries = NGN.coalesce(cfg.retries, 0)
+
+      /**
+       * @cfg {Number} [timeout=0]
+       * The number of milliseconds to wait for each request. Set to `0` to
+       * wait indefinitely.
+       */
+      let timeout = NGN.coalesce(cfg.timeout, 0)
+
+      /**
+       * @cfg {Number} [totalTimeout=0]
+       * The number of milliseconds to wait for all files to be loaded. Any
+       * file that is not loaded in time is considered a failure. Set to `0` to
+       * wait indefinitely.
+       */
+      let totalTimeout = NGN.coalesce(cfg.totalTimeout, 0)
+
+      /**
+       * @cfg {Object} type
+       * The type of files, keyed by file name. Valid types are `js`, `css`,
+       * `json` and `html`. By default, the type is identified by the file
+       * extension (`.htm` is treated as `html`), and files with any other
+       * extension are treated as `js`.
+       *
+       * - `js` files are executed.
+       * - `css` files are added to the document as `<link>` stylesheets.
+       * - `json` files are parsed. The data is available in the `json`
+       *   attribute of the loaded files array, keyed by file name.
+       * - `html` files are registered as templates in NGNX.Loader.templates,
+       *   named after the file (i.e. `./views/myview.html` is `myview`), so
+       *   they can be used with NGNX.Driver#render. Two files with the same
+       *   name cannot both be loaded as templates.
+       *
+       * ```js
+       * NGNX.Loader({
+       *   async: ['./config', './styles/app.css', './views/myview.html'],
+       *   type: {
+       *     './config': 'json'
+       *   }
+       * }).then(function (files) {
+       *   console.log(files.json['./config'])
+       *
+       *   let Driver = new NGNX.Driver()
+       *   Driver.render('myview', data, document.body)
+       * })
+       * ```
+       */
+      let type = cfg.type || {}
+
+      let invalid = Object.keys(type).filter((file) => types.indexOf(type[file]) < 0)
+
+      if (invalid.length > 0) {
+        let err = new Error('"' + type[invalid[0]] + '" is not a valid type for ' + invalid[0] + '. Valid types are: ' + types.join(', ') + '.')
+
+        err.failures = []
+        err.loaded = []
+
+        NGN.BUS.emit('load.error', {
+          failures: [],
+          loaded: []
         })
+
+        return finish(Promise.reject(err))
       }
 
-      // Load synchronous files first
-      if (meta.sync.length > 0) {
-        loadSync(meta.sync)
+      /**
+       * @cfg {Object} integrity
+       * [Subresource Integrity](https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity)
+       * metadata, keyed by file name. A file that does not match its hash
+       * fails to load (the next #fallback URL is attempted, if any). The
+       * metadata is added to `<script>` elements and `<link>` stylesheets,
+       * which the browser verifies. Other files are verified by the loader,
+       * using the bytes received from the server, before they are applied.
+       *
+       * ```js
+       * NGNX.Loader({
+       *   sync: ['https://cdn.domain.com/lib.min.js'],
+       *   integrity: {
+       *     'https://cdn.domain.com/lib.min.js': 'sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC'
+       *   },
+       *   crossorigin: 'anonymous'
+       * })
+       * ```
+       * Verification requires the Web Cryptography API, which is only
+       * available in secure contexts (HTTPS or localhost).
+       */
+      let integrity = cfg.integrity || {}
+
+      /**
+       * @cfg {String|Object} crossorigin
+       * The [CORS setting](https://developer.mozilla.org/en-US/docs/Web/HTML/Attributes/crossorigin)
+       * (`anonymous` or `use-credentials`) for all files, or an object with
+       * the setting for each file, keyed by file name. Files using
+       * `use-credentials` are requested with credentials. The setting is
+       * also added to `<script>` elements and `<link>` stylesheets.
+       */
+      let crossorigin = cfg.crossorigin || {}
+
+      /**
+       * @cfg {String} nonce
+       * The [CSP nonce](https://developer.mozilla.org/en-US/docs/Web/HTML/Global_attributes/nonce)
+       * applied to the `<script>` and `<link>` elements created by the loader.
+       */
+      let nonce = NGN.coalesce(cfg.nonce)
+
+      const corsSetting = (file) => {
+        return typeof crossorigin === 'string' ? crossorigin : NGN.coalesce(crossorigin[file])
       }
 
-      const responder = (imported, callback) => {
-        if (typeof callback === 'function') {
-          callback(this.sync.concat(imported))
-        } else {
-          NGN.BUS.emit(callback, this.sync.concat(imported))
+      // Apply the security attributes of a file to an element.
+      const secure = (element, file) => {
+        if (nonce) {
+          element.setAttribute('nonce', nonce)
+        }
+
+        if (corsSetting(file)) {
+          element.setAttribute('crossorigin', corsSetting(file))
+        }
+
+        if (integrity.hasOwnProperty(file)) {
+          element.setAttribute('integrity', integrity[file])
         }
       }
 
-      // Load asynchronous files
-      if (this.async.length > 0) {
-        NGN.NET.import(this.async, (imported) => {
-          if (window.hasOwnProperty('fetch')) {
-            responder(this.sync.concat(imported), callback)
+      let loaded = []
+      let json = {}
+      let failures = []
+      let skipped = []
+      let loadedBytes = 0
+      let expired = false
+
+      // Retrieve the raw bytes of a URL, responding with a status of 0 if the
+      // server cannot be reached or the request times out.
+      const retrieve = (url, credentials) => {
+        return new Promise((resolve) => {
+          let request = new XMLHttpRequest()
+          let timer = null
+          let done = false
+
+          const respond = (res) => {
+            if (!done) {
+              done = true
+              clearTimeout(timer)
+              resolve(res)
+            }
+          }
+
+          request.onload = () => {
+            let bytes = request.response || new ArrayBuffer(0)
+            let length = parseInt(request.getResponseHeader('Content-Length'), 10)
+
+            respond({
+              status: request.status,
+              bytes: bytes,
+              contentType: request.getResponseHeader('Content-Type'),
+              size: isNaN(length) ? bytes.byteLength : length
+            })
+          }
+
+          request.onerror = () => respond({
+            status: 0
+          })
+
+          if (timeout > 0) {
+            timer = setTimeout(() => {
+              request.abort()
+              respond({
+                status: 0,
+                timeout: true
+              })
+            }, timeout)
+          }
+
+          request.open('GET', url, true)
+          request.responseType = 'arraybuffer'
+          request.withCredentials = credentials
+          request.send()
+        })
+      }
+
+      // The Resource Timing entry of a URL, if the browser provides one.
+      const timing = (url) => {
+        let entries = window.performance && typeof window.performance.getEntriesByName === 'function' ? window.performance.getEntriesByName(url) : []
+
+        return entries.length > 0 ? entries[entries.length - 1] : {}
+      }
+
+      // Add a script or stylesheet to the document, responding once it is
+      // applied or fails. The browser only reports the status of the response
+      // through the Resource Timing API, so the status is 0 when it is
+      // unavailable.
+      const attach = (file, url) => {
+        return new Promise((resolve) => {
+          let stylesheet = typeOf(file, type) === 'css'
+          let element = document.createElement(stylesheet ? 'link' : 'script')
+          let timer = null
+          let done = false
+
+          const respond = (res) => {
+            if (!done) {
+              done = true
+              clearTimeout(timer)
+              element.onload = element.onerror = null
+              resolve(res)
+            }
+          }
+
+          const remove = () => {
+            if (element.parentNode) {
+              element.parentNode.removeChild(element)
+            }
+          }
+
+          element.onload = () => {
+            let entry = timing(stylesheet ? element.href : element.src)
+
+            respond({
+              status: entry.responseStatus || 200,
+              size: entry.encodedBodySize || 0
+            })
+          }
+
+          // A successful response that fails to load did not match its
+          // integrity metadata (or was blocked by the browser).
+          element.onerror = () => {
+            let status = timing(stylesheet ? element.href : element.src).responseStatus || 0
+
+            remove()
+
+            respond({
+              status: status,
+              error: status >= 200 && status < 300 ? new Error(integrity.hasOwnProperty(file) ? 'Integrity verification failed for ' + url + '.' : 'The ' + (stylesheet ? 'stylesheet ' : 'script ') + url + ' was blocked by the browser.') : null
+            })
+          }
+
+          if (timeout > 0) {
+            timer = setTimeout(() => {
+              remove()
+              respond({
+                status: 0,
+                timeout: true
+              })
+            }, timeout)
+          }
+
+          secure(element, file)
+
+          if (stylesheet) {
+            element.rel = 'stylesheet'
+            element.href = url
           } else {
-            // Force a slight delay to assure everything is loaded.
-            // Double timeouts forces a "nextTick" type of action in some browsers.
-            setTimeout(() => {
-              setTimeout(() => {
-                responder(this.sync.concat(imported), callback)
-              }, 5)
-            }, 0)
+            element.src = url
+          }
+
+          document.head.appendChild(element)
+        })
+      }
+
+      // Apply a retrieved file to the page according to its type.
+      const apply = (file, url, res) => {
+        return new Promise((resolve, reject) => {
+          let text = decode(res.bytes, res.contentType)
+
+          switch (typeOf(file, type)) {
+            case 'json':
+              json[file] = JSON.parse(text)
+              resolve()
+              break
+
+            case 'html':
+              let name = templateName(file)
+              let templates = window.NGNX.Loader.templates
+
+              if (sources.hasOwnProperty(name)) {
+                if (sources[name] !== file) {
+                  reject(new Error('The template ' + file + ' cannot be loaded because a template named "' + name + '" was already loaded from ' + sources[name] + '.'))
+                  break
+                }
+
+                window.URL.revokeObjectURL(templates[name])
+              }
+
+              // Register the retrieved content so it is not downloaded again.
+              templates[name] = window.URL.createObjectURL(new window.Blob([text], {
+                type: 'text/html'
+              }))
+              sources[name] = file
+              resolve()
+              break
+
+            default:
+              resolve()
           }
         })
-      } else {
-        if (window.hasOwnProperty('fetch')) {
-          responder(this.sync.concat(this.async), callback)
-        } else {
-          // Double timeouts forces a "nextTick" type of action in some browsers.
-          setTimeout(() => {
-            setTimeout(() => {
-              responder(this.sync.concat(this.async), callback)
-            }, 5)
-          }, 0)
+      }
+
+      // Retrieve and apply a single file, resolving with the failure (or
+      // null if the file was loaded). Each URL is attempted until it
+      // succeeds or runs out of retries, then the next fallback is attempted.
+      const load = (file, stage) => {
+        let urls = [file].concat(fallback.hasOwnProperty(file) ? fallback[file] : [])
+        let element = ['js', 'css'].indexOf(typeOf(file, type)) >= 0
+
+        const attempt = (index, count) => {
+          let url = urls[index]
+          let request = element ? attach(file, url) : retrieve(url, corsSetting(file) === 'use-credentials')
+
+          return request.then((res) => {
+            if (expired) {
+              return null
+            }
+
+            if (res.error || !(res.status >= 200 && res.status < 300)) {
+              if (!res.error && (res.status === 0 || res.status >= 500) && count < retries) {
+                return attempt(index, count + 1)
+              }
+
+              if (index < urls.length - 1) {
+                return attempt(index + 1, 0)
+              }
+
+              return {
+                file: file,
+                url: url,
+                status: res.status,
+                stage: stage,
+                timeout: res.timeout === true,
+                error: res.error || null
+              }
+            }
+
+            // Scripts and stylesheets are verified by the browser.
+            if (element) {
+              return applied(url, res)
+            }
+
+            let verification = integrity.hasOwnProperty(file) ? verify(url, res.bytes, integrity[file]) : Promise.resolve(null)
+
+            return verification.then((error) => {
+              if (expired) {
+                return null
+              }
+
+              if (error !== null) {
+                if (index < urls.length - 1) {
+                  return attempt(index + 1, 0)
+                }
+
+                return {
+                  file: file,
+                  url: url,
+                  status: res.status,
+                  stage: stage,
+                  timeout: false,
+                  error: error
+                }
+              }
+
+              return applied(url, res)
+            })
+          })
+        }
+
+        // Apply a verified file and report progress.
+        const applied = (url, res) => {
+          return apply(file, url, res).then(() => {
+            if (expired) {
+              return null
+            }
+
+            let bytes = res.size || 0
+
+            loaded.push(file)
+            loadedBytes += bytes
+
+            NGN.BUS.emit('load.progress', {
+              file: file,
+              url: url,
+              stage: stage,
+              loaded: loaded.length,
+              total: order.length,
+              bytes: bytes,
+              loadedBytes: loadedBytes
+            })
+
+            return null
+          }).catch((e) => {
+            return {
+              file: file,
+              url: url,
+              status: 0,
+              stage: stage,
+              timeout: false,
+              error: e
+            }
+          })
+        }
+
+        return attempt(0, 0)
+      }
+
+      /**
+       * @cfg {Object} dependencies
+       * A dependency graph, keyed by file name. Each value is the file (or
+       * array of files) that must be loaded before the key is loaded.
+       *
+       * ```js
+       * NGNX.Loader({
+       *   dependencies: {
+       *     './path/to/b.js': ['./path/to/a.js'],
+       *     './path/to/c.js': ['./path/to/a.js'],
+       *     './path/to/d.js': ['./path/to/b.js', './path/to/c.js']
+       *   }
+       * })
+       * ```
+       * In this example, `a.js` is loaded first, then `b.js` and `c.js` are
+       * loaded in parallel, then `d.js` is loaded. Files in the graph may also
+       * appear in the #sync or #async lists.
+       */
+      let dependencies = cfg.dependencies || {}
+
+      // Build the dependency graph. Each synchronous file depends on the one
+      // before it, and asynchronous files depend on every synchronous file.
+      let graph = {}
+      let stages = {}
+
+      const node = (file, stage) => {
+        if (!graph.hasOwnProperty(file)) {
+          graph[file] = []
+          stages[file] = stage
+        }
+
+        return graph[file]
+      }
+
+      sync.forEach((file, index) => {
+        node(file, 'sync')
+
+        if (index > 0) {
+          graph[file].push(sync[index - 1])
+        }
+      })
+
+      async.forEach((file) => {
+        node(file, 'async')
+
+        // A file that is also synchronous is already part of the chain.
+        if (sync.indexOf(file) < 0) {
+          graph[file].push.apply(graph[file], sync)
+        }
+      })
+
+      Object.keys(dependencies).forEach((file) => {
+        let required = dependencies[file]
+
+        required = Array.isArray(required) ? required : [required]
+        required.forEach((dependency) => node(dependency, 'async'))
+
+        node(file, 'async').push.apply(graph[file], required)
+      })
+
+      // Topologically sort the graph so every file follows its dependencies.
+      let order = []
+      let visited = {}
+      let cycle = null
+
+      const visit = (file, path) => {
+        if (visited[file] === true || cycle !== null) {
+          return
+        }
+
+        if (visited[file] === false) {
+          cycle = path.slice(path.indexOf(file)).concat(file)
+          return
         }
+
+        visited[file] = false
+        path.push(file)
+
+        graph[file].forEach((dependency) => visit(dependency, path))
+
+        path.pop()
+        visited[file] = true
+        order.push(file)
+      }
+
+      Object.keys(graph).forEach((file) => visit(file, []))
+
+      if (cycle !== null) {
+        let err = new Error('Circular dependency detected: ' + cycle.join(' -> ') + '.')
+
+        err.cycle = cycle
+        err.failures = []
+        err.loaded = []
+
+        NGN.BUS.emit('load.error', {
+          failures: [],
+          loaded: [],
+          cycle: cycle
+        })
+
+        return finish(Promise.reject(err))
+      }
+
+      // Each file is loaded as soon as all of its dependencies are loaded,
+      // so independent files are loaded in parallel. Files depending on a
+      // file that failed are not loaded.
+      let ready = {}
+
+      order.forEach((file) => {
+        ready[file] = Promise.all(graph[file].map((dependency) => ready[dependency])).then((results) => {
+          if (results.indexOf(false) >= 0) {
+            skipped.push(file)
+            return false
+          }
+
+          return load(file, stages[file]).then((failure) => {
+            if (expired) {
+              return false
+            }
+
+            if (failure !== null) {
+              failures.push(failure)
+              return false
+            }
+
+            if (stages[file] === 'sync') {
+              NGN.BUS.emit('load.sync', file)
+            }
+
+            return true
+          })
+        })
+      })
+
+      let sequence = Promise.all(order.map((file) => ready[file]))
+      let timer = null
+
+      // When time runs out, every file still waiting (or loading) has failed.
+      if (totalTimeout > 0) {
+        sequence = Promise.race([sequence, new Promise((resolve) => {
+          timer = setTimeout(() => {
+            expired = true
+
+            order.forEach((file) => {
+              let settled = loaded.indexOf(file) >= 0 || skipped.indexOf(file) >= 0 || failures.some((failure) => failure.file === file)
+
+              if (!settled) {
+                failures.push({
+                  file: file,
+                  url: file,
+                  status: 0,
+                  stage: stages[file],
+                  timeout: true
+                })
+              }
+            })
+
+            resolve()
+          }, totalTimeout)
+        })])
       }
+
+      return finish(sequence.then(() => {
+        clearTimeout(timer)
+
+        // Report files in the order they were loaded.
+        let files = order.filter((file) => loaded.indexOf(file) >= 0)
+
+        files.json = json
+
+        if (failures.length > 0) {
+          let err = new Error('Failed to load ' + failures.map((failure) => {
+            let reason = failure.timeout ? 'timed out' : (failure.error ? failure.error.message : 'HTTP ' + failure.status)
+
+            return failure.file + ' (' + failure.stage + ', ' + reason + ')'
+          }).join(', ') + '.')
+
+          err.failures = failures
+          err.loaded = files
+
+          NGN.BUS.emit('load.error', {
+            failures: failures,
+            loaded: files
+          })
+
+          throw err
+        }
+
+        NGN.BUS.emit('load.complete', files)
+
+        return files
+      }))
     }
+
+    /**
+     * @property {Object} templates
+     * The HTML templates loaded by NGNX.Loader, keyed by name. The value is
+     * a `blob:` URL of the retrieved content, so rendering a template does
+     * not download it again. Every NGNX.Driver can
+     * NGNX.Driver#render these templates by name.
+     * @readonly
+     */
+    Object.defineProperty(window.NGNX.Loader, 'templates', NGN.const({}))
   }
 }
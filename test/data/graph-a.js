@@ -0,0 +1 @@
+window.LOADER_GRAPH = (window.LOADER_GRAPH || []).concat('a')
@@ -0,0 +1,58 @@
+'use strict'
+
+var test = require('tape')
+var FakeSource = require('./helpers/streams').EventSource
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+test('NGNX.DATA.EventSourceProxy Synchronization', function (t) {
+  var restore = FakeSource.install()
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.EventSourceProxy({
+      url: 'http://localhost/people/stream',
+      events: {
+        create: 'person.added'
+      },
+      reconnect: {
+        delay: 1
+      }
+    })
+  })
+
+  NGN.BUS.once('eventsource.open', function (e) {
+    var source = FakeSource.latest()
+
+    t.ok(e.proxy === People.proxy && People.proxy.state === 'open', 'Stream state reported on the bus.')
+
+    source.push('person.added', '1', { id: 'a', name: 'Corey' })
+    t.ok(People.recordCount === 1, 'Named events create records.')
+
+    source.push('update', '2', { id: 'a', name: 'Graham' })
+    t.ok(People.first.name === 'Graham', 'Named events update records.')
+
+    source.push('delete', '3', { id: 'a' })
+    t.ok(People.recordCount === 0, 'Named events delete records.')
+    t.ok(People.proxy.lastEventId === '3', 'Last event ID tracked.')
+
+    NGN.BUS.once('eventsource.open', function () {
+      var resumed = FakeSource.latest()
+
+      t.ok(/lastEventId=3$/.test(resumed.url), 'Stream resumed from the last event ID.')
+
+      People.proxy.disconnect()
+      t.ok(People.proxy.state === 'closed', 'Disconnecting closes the stream.')
+
+      restore()
+      t.end()
+    })
+
+    source.readyState = 2
+    source.onerror({})
+  })
+})
@@ -0,0 +1,229 @@
+'use strict'
+
+var test = require('tape')
+var serve = require('./helpers/server')
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+test('NGNX.DATA.GraphQLProxy Fetch Errors', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.GraphQLProxy({
+      url: './base/test/data/missing',
+      query: '{ people { id name } }',
+      dataPath: 'people'
+    })
+  })
+
+  t.ok(typeof People.proxy.fetch === 'function', 'Proxy attached to the store.')
+
+  People.proxy.fetch(function (err) {
+    t.ok(err instanceof NGNX.DATA.HttpProxyError, 'Callback receives an HttpProxyError.')
+    t.ok(err.action === 'fetch', 'Error identifies the failed action.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.GraphQLProxy Save Without Mutations', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.GraphQLProxy({
+      url: './base/test/data/missing'
+    })
+  })
+
+  People.add({ name: 'Corey' })
+
+  People.proxy.save(function (err) {
+    t.ok(err instanceof Error && /create/.test(err.message), 'Callback receives the error when no mutation is configured for the action.')
+  }).then(function () {
+    t.fail('Saving without a create mutation should fail.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(/create/.test(err.message), 'Rejects when no mutation is configured for the action.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.GraphQLProxy Request Pipeline', function (t) {
+  var server = serve(function (req) {
+    if (req.headers.Authorization !== 'Bearer fresh') {
+      return { status: 401 }
+    }
+
+    return { body: { data: { people: [{ id: 'a', name: 'Corey' }] } } }
+  })
+
+  var intercepted = []
+  var refreshes = 0
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.GraphQLProxy({
+      url: 'https://api.domain.com/graphql',
+      token: 'stale',
+      query: '{ people { id name } }',
+      dataPath: 'people',
+      interceptors: [{
+        request: function (req) {
+          intercepted.push(req.json.query)
+        }
+      }],
+      refreshToken: function () {
+        refreshes++
+        return 'fresh'
+      }
+    })
+  })
+
+  People.proxy.fetch().then(function (result) {
+    t.ok(result.data.length === 1 && People.recordCount === 1, 'Records retrieved with the query.')
+    t.ok(refreshes === 1 && server.requests.length === 2, 'Access token refreshed when the server responds with a 401.')
+    t.ok(intercepted.length === 2 && intercepted[0] === '{ people { id name } }', 'Queries sent through the interceptors.')
+  }).then(function () {
+    var request = People.proxy.fetch()
+
+    request.cancel()
+
+    return request.then(function () {
+      t.fail('The cancelled fetch should reject.')
+    }, function (err) {
+      t.ok(err instanceof NGNX.DATA.HttpProxyError && err.cancelled, 'Fetches can be cancelled.')
+    })
+  }).then(function () {
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.GraphQLProxy Mutations', function (t) {
+  var Member = new NGN.DATA.Model({
+    fields: {
+      key: null,
+      name: null
+    }
+  })
+
+  var responses = {
+    members: [{ key: 'a', name: 'Corey' }, { key: 'b', name: 'Graham' }],
+    addMember: { member: { key: 'c', name: 'Kara' } },
+    updateMember: { key: 'a', name: 'Corey Butler' },
+    deleteMember: true
+  }
+
+  // The variables sent with each operation, keyed by the field it selects.
+  var operations = {}
+  var server = serve(function (req) {
+    var body = JSON.parse(req.body)
+    var field = Object.keys(responses).filter(function (name) {
+      return body.query.indexOf(name + '(') >= 0 || body.query.indexOf(name + ' ') >= 0
+    })[0]
+    var data = {}
+
+    operations[field] = body.variables
+    data[field] = responses[field]
+
+    return { body: { data: data } }
+  })
+
+  var Members = new NGN.DATA.Store({
+    model: Member,
+    proxy: new NGNX.DATA.GraphQLProxy({
+      url: 'https://api.domain.com/graphql',
+      idField: 'key',
+      query: 'query { members { key name } }',
+      dataPath: 'members',
+      mutations: {
+        create: {
+          mutation: 'mutation ($input: MemberInput!) { addMember(input: $input) { member { key name } } }',
+          dataPath: 'addMember.member'
+        },
+        update: 'mutation ($id: ID!, $input: MemberInput!) { updateMember(id: $id, input: $input) { key name } }',
+        delete: 'mutation ($id: ID!) { deleteMember(id: $id) }'
+      }
+    })
+  })
+
+  Members.proxy.fetch().then(function () {
+    Members.first.name = 'Corey Butler'
+    Members.remove(Members.last)
+    Members.add({ name: 'Kara' })
+
+    return Members.proxy.save()
+  }).then(function (result) {
+    t.ok(result.created === 1 && result.updated === 1 && result.deleted === 1, 'Resolves with the number of records created, updated and deleted.')
+    t.ok(operations.addMember.input.name === 'Kara' && !operations.addMember.hasOwnProperty('id'), 'Creates send the record data as the input.')
+    t.ok(operations.updateMember.id === 'a' && operations.updateMember.input.name === 'Corey Butler', 'Updates send the ID (using the idField) and the record data.')
+    t.ok(operations.deleteMember.id === 'b' && Object.keys(operations.deleteMember).length === 1, 'Deletes send the ID (using the idField).')
+    t.ok(Members.last.name === 'Kara' && Members.last.key === 'c', 'The record at the dataPath of the response is applied to the model.')
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.GraphQLProxy GraphQL Errors', function (t) {
+  var server = serve(function () {
+    return {
+      body: {
+        data: null,
+        errors: [{ message: 'Name is required.', path: ['createPerson'] }]
+      }
+    }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.GraphQLProxy({
+      url: 'https://api.domain.com/graphql',
+      query: '{ people { id name } }',
+      dataPath: 'people',
+      mutations: {
+        create: 'mutation ($input: PersonInput!) { createPerson(input: $input) { id } }'
+      }
+    })
+  })
+
+  var failures = {}
+
+  NGN.BUS.once('save.error', function (e) {
+    failures.save = e
+  })
+
+  NGN.BUS.once('fetch.error', function (e) {
+    failures.fetch = e
+  })
+
+  People.add({ name: 'Corey' })
+
+  People.proxy.save().then(function () {
+    t.fail('Saving should fail when the response contains errors.')
+  }, function (err) {
+    t.ok(err instanceof NGNX.DATA.HttpProxyError && err.status === 200 && err.message === 'Name is required.', 'Rejects when a 200 response contains errors.')
+    t.ok(failures.save && failures.save.action === 'create' && failures.save.errors[0].message === 'Name is required.', 'GraphQL errors reported with save.error.')
+
+    return People.proxy.fetch()
+  }).then(function () {
+    t.fail('Fetching should fail when the response contains errors.')
+  }, function (err) {
+    t.ok(err instanceof NGNX.DATA.HttpProxyError && err.details.errors[0].message === 'Name is required.', 'Fetches reject when a 200 response contains errors.')
+    t.ok(failures.fetch === err, 'GraphQL errors reported with fetch.error.')
+  }).then(function () {
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
@@ -0,0 +1,94 @@
+'use strict'
+
+// A stand-in for the server. Every XMLHttpRequest is recorded and answered
+// with the `status`, `body` and `headers` returned by `reply`, which receives
+// the request and the number of requests made so far. Call restore() when
+// the test is complete.
+module.exports = function (reply) {
+  var NativeXHR = window.XMLHttpRequest
+  var server = {
+    requests: [],
+    restore: function () {
+      window.XMLHttpRequest = NativeXHR
+    }
+  }
+
+  var FakeXHR = function () {
+    this.readyState = 0
+    this.status = 0
+    this.responseText = ''
+    this.headers = {}
+    this.responseHeaders = {}
+    this.listeners = {}
+    this.upload = {}
+  }
+
+  FakeXHR.prototype.open = function (method, url) {
+    this.method = method.toUpperCase()
+    this.url = url
+    this.readyState = 1
+  }
+
+  FakeXHR.prototype.setRequestHeader = function (header, value) {
+    this.headers[header] = value
+  }
+
+  FakeXHR.prototype.addEventListener = function (event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).concat(listener)
+  }
+
+  FakeXHR.prototype.getResponseHeader = function (name) {
+    var headers = this.responseHeaders
+    var match = Object.keys(headers).filter(function (header) {
+      return header.toLowerCase() === name.toLowerCase()
+    })
+
+    return match.length > 0 ? String(headers[match[0]]) : null
+  }
+
+  FakeXHR.prototype.getAllResponseHeaders = function () {
+    var headers = this.responseHeaders
+
+    return Object.keys(headers).map(function (header) {
+      return header + ': ' + headers[header]
+    }).join('\r\n')
+  }
+
+  FakeXHR.prototype.abort = function () {
+    this.aborted = true
+  }
+
+  FakeXHR.prototype.send = function (body) {
+    var xhr = this
+
+    xhr.body = NGN.coalesce(body, null)
+    server.requests.push(xhr)
+
+    setTimeout(function () {
+      if (xhr.aborted) {
+        return
+      }
+
+      var res = reply(xhr, server.requests.length) || {}
+
+      xhr.status = NGN.coalesce(res.status, 200)
+      xhr.responseText = res.body === undefined ? '' : JSON.stringify(res.body)
+      xhr.responseHeaders = res.headers || {}
+      xhr.readyState = 4
+
+      ;['readystatechange', 'load'].forEach(function (event) {
+        if (typeof xhr['on' + event] === 'function') {
+          xhr['on' + event]()
+        }
+
+        ;(xhr.listeners[event] || []).forEach(function (listener) {
+          listener.call(xhr)
+        })
+      })
+    }, 0)
+  }
+
+  window.XMLHttpRequest = FakeXHR
+
+  return server
+}
@@ -0,0 +1,104 @@
+'use strict'
+
+// Minimal in-process stand-ins for streaming server connections. Each
+// connection records its URL and opens asynchronously, like the browser
+// API it replaces. Set `refuse` to the number of upcoming connections the
+// server should refuse.
+var connection = function (api, Fake, setup) {
+  var Connection = function (url) {
+    var instance = new Fake()
+
+    instance.url = url
+    setup(instance)
+    Connection.instances.push(instance)
+
+    setTimeout(function () {
+      if (Connection.refuse > 0) {
+        Connection.refuse--
+        instance.refuse()
+      } else {
+        instance.open()
+      }
+    }, 0)
+
+    return instance
+  }
+
+  Connection.instances = []
+  Connection.refuse = 0
+
+  // The most recently opened connection.
+  Connection.latest = function () {
+    return Connection.instances[Connection.instances.length - 1]
+  }
+
+  // Replace the browser API with the fake. Returns a function that restores
+  // the original.
+  Connection.install = function () {
+    var Native = window[api]
+
+    window[api] = Connection
+
+    return function () {
+      window[api] = Native
+    }
+  }
+
+  return Connection
+}
+
+// A stand-in for a WebSocket server connection.
+var FakeSocket = function () {}
+
+FakeSocket.prototype.open = function () {
+  this.onopen()
+}
+
+FakeSocket.prototype.send = function (message) {
+  this.sent.push(JSON.parse(message))
+}
+
+FakeSocket.prototype.close = function () {
+  setTimeout(function () {
+    this.onclose({ code: 1000, reason: '' })
+  }.bind(this), 0)
+}
+
+FakeSocket.prototype.refuse = function () {
+  this.onclose({ code: 1006, reason: '' })
+}
+
+FakeSocket.prototype.push = function (message) {
+  this.onmessage({ data: JSON.stringify(message) })
+}
+
+// A stand-in for a server-sent event stream.
+var FakeSource = function () {}
+
+FakeSource.prototype.open = function () {
+  this.readyState = 1
+  this.onopen()
+}
+
+FakeSource.prototype.addEventListener = function (name, listener) {
+  this.listeners[name] = listener
+}
+
+FakeSource.prototype.close = function () {
+  this.readyState = 2
+}
+
+FakeSource.prototype.push = function (name, id, data) {
+  this.listeners[name]({ type: name, lastEventId: id, data: JSON.stringify(data) })
+}
+
+module.exports = {
+  WebSocket: connection('WebSocket', FakeSocket, function (socket) {
+    socket.sent = []
+  }),
+
+  EventSource: connection('EventSource', FakeSource, function (source) {
+    source.readyState = 0
+    source.listeners = {}
+  })
+}
@@ -0,0 +1,1236 @@
+'use strict'
+
+var test = require('tape')
+var serve = require('./helpers/server')
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+test('NGNX.DATA.HttpProxy Fetch', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: './base/test/data'
+    })
+  })
+
+  var promise = People.proxy.fetch('/people.json')
+
+  t.ok(promise instanceof Promise, 'fetch() returns a Promise.')
+
+  promise.then(function (result) {
+    t.ok(result.status === 200, 'Resolves with the response status.')
+    t.ok(Array.isArray(result.data) && result.data.length === 2, 'Resolves with the response data.')
+    t.ok(People.recordCount === 2, 'Records loaded into the store.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Fetch Errors', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: './base/test/data'
+    })
+  })
+
+  People.proxy.fetch('/missing.json', function (err) {
+    t.ok(err instanceof NGNX.DATA.HttpProxyError, 'Callback receives an HttpProxyError.')
+    t.ok(err.status === 404, 'Error contains the HTTP status.')
+    t.ok(err.action === 'fetch', 'Error identifies the failed action.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Response Envelopes', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: './base/test/data',
+      dataPath: 'data'
+    })
+  })
+
+  People.proxy.fetch('/envelope.json').then(function (result) {
+    t.ok(result.data.length === 2, 'Records extracted from the envelope.')
+    t.ok(result.meta.total === 2, 'Envelope metadata returned.')
+    t.ok(People.proxy.meta === result.meta, 'Envelope metadata available on the proxy.')
+    t.ok(People.recordCount === 2, 'Records loaded into the store.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Request Deduplication & Cancellation', function (t) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: './base/test/data'
+    })
+  })
+
+  var first = People.proxy.fetch('/people.json')
+
+  t.ok(People.proxy.fetch('/people.json') === first, 'Duplicate fetches are coalesced.')
+
+  first.cancel()
+
+  first.then(function () {
+    t.fail('Cancelled fetch resolved.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(err instanceof NGNX.DATA.HttpProxyError && err.cancelled, 'Cancelled fetch rejects with a cancellation error.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Uploads', function (t) {
+  var Document = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      file: null
+    }
+  })
+
+  var body = null
+  var Documents = new NGN.DATA.Store({
+    model: Document,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: './base/test/data/missing',
+      interceptors: [{
+        request: function (req) {
+          body = req.body
+        }
+      }]
+    })
+  })
+
+  Documents.add({
+    name: 'readme',
+    file: new window.Blob(['Hello'], { type: 'text/plain' })
+  })
+
+  Documents.proxy.save().catch(function () {
+    t.ok(body instanceof window.FormData, 'Models containing files are sent as multipart/form-data.')
+    t.ok(body.get('name') === 'readme' && body.get('file') instanceof window.Blob, 'Fields and files included in the form.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Cache Credentials', function (t) {
+  var token = 'user-a'
+  var server = serve(function (req) {
+    return {
+      body: [{ name: req.headers.Authorization }]
+    }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      cache: true,
+      tokenProvider: function () {
+        return token
+      }
+    })
+  })
+
+  People.proxy.fetch().then(function () {
+    token = 'user-b'
+    return People.proxy.fetch()
+  }).then(function (result) {
+    t.ok(server.requests.length === 2 && result.cached === false, 'Responses cached for one user are not used for another.')
+
+    token = 'user-a'
+    return People.proxy.fetch()
+  }).then(function (result) {
+    t.ok(server.requests.length === 2 && result.cached === true, 'Responses are cached per user.')
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Fetch Credentials', function (t) {
+  var token = 'user-a'
+  var first = null
+  var second = null
+  var server = serve(function (req, count) {
+    // Another user fetches the same URL while the first fetch is pending.
+    if (count === 1) {
+      token = 'user-b'
+      second = People.proxy.fetch()
+    }
+
+    return {
+      body: [{ name: req.headers.Authorization }]
+    }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      latestFetchWins: false,
+      tokenProvider: function () {
+        return token
+      }
+    })
+  })
+
+  first = People.proxy.fetch()
+
+  first.then(function (result) {
+    t.ok(second !== first, 'Pending fetches are not merged across users.')
+    t.ok(result.data[0].name === 'Bearer user-a', 'The first user receives their own response.')
+
+    return second
+  }).then(function (result) {
+    t.ok(server.requests.length === 2 && result.data[0].name === 'Bearer user-b', 'The second user receives their own response.')
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Cancelled Revalidation', function (t) {
+  var revalidated = false
+  var server = serve(function (req, count) {
+    return {
+      body: [{ name: count === 1 ? 'Corey' : 'Graham' }]
+    }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      cache: {
+        ttl: 0,
+        staleWhileRevalidate: true
+      }
+    })
+  })
+
+  var listener = function () {
+    revalidated = true
+  }
+
+  NGN.BUS.on('fetch.revalidated', listener)
+
+  People.proxy.fetch().then(function () {
+    var request = People.proxy.fetch()
+
+    return request.then(function (result) {
+      t.ok(result.stale === true, 'Stale response loaded immediately.')
+      request.cancel()
+
+      return new Promise(function (resolve) {
+        setTimeout(resolve, 50)
+      })
+    })
+  }).then(function () {
+    NGN.BUS.off('fetch.revalidated', listener)
+    server.restore()
+
+    t.ok(!revalidated && People.first.name === 'Corey', 'Cancelling the fetch abandons the revalidation.')
+    t.end()
+  }).catch(function (err) {
+    NGN.BUS.off('fetch.revalidated', listener)
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Query Serializers', function (t) {
+  var query = {
+    filter: {
+      lastname: 'Butler',
+      age: { gte: 21 },
+      role: ['admin', 'author']
+    },
+    sort: ['-age', 'firstname'],
+    limit: 10,
+    offset: 20,
+    fields: ['firstname', 'lastname']
+  }
+
+  var serialize = function (name) {
+    return NGNX.DATA.HttpProxy.serializers[name](query).map(function (pair) {
+      return pair[0] + '=' + pair[1]
+    }).join('&')
+  }
+
+  t.ok(serialize('params') === 'lastname=Butler&age[gte]=21&role=admin,author&sort=-age,firstname&limit=10&offset=20&fields=firstname,lastname', 'params serializer.')
+  t.ok(serialize('odata') === '$filter=lastname eq \'Butler\' and age ge 21 and (role eq \'admin\' or role eq \'author\')&$orderby=age desc,firstname asc&$top=10&$skip=20&$select=firstname,lastname', 'odata serializer.')
+
+  query.type = 'people'
+
+  t.ok(serialize('jsonapi') === 'filter[lastname]=Butler&filter[age][gte]=21&filter[role]=admin,author&sort=-age,firstname&page[limit]=10&page[offset]=20&fields[people]=firstname,lastname', 'jsonapi serializer.')
+
+  var proxy = function (serializer) {
+    var People = new NGN.DATA.Store({
+      model: Person,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: './base/test/data',
+        querySerializer: serializer
+      })
+    })
+
+    return People.proxy
+  }
+
+  var invalid = proxy('unknown').fetch('/people.json', { limit: 1 })
+
+  t.ok(invalid instanceof Promise && typeof invalid.cancel === 'function', 'Invalid queries return a cancellable Promise.')
+
+  invalid.then(function () {
+    t.fail('Unknown serializers should reject the fetch.')
+  }, function (err) {
+    t.ok(err.message.indexOf('Unrecognized HttpProxy query serializer') === 0, 'Unknown serializers reject the fetch.')
+
+    return proxy('odata').fetch('/people.json', {
+      filter: {
+        name: { like: 'C%' }
+      }
+    })
+  }).then(function () {
+    t.fail('Unsupported OData operators should reject the fetch.')
+    t.end()
+  }, function (err) {
+    t.ok(err.message.indexOf('Unsupported OData filter operator') === 0, 'Unsupported OData operators reject the fetch.')
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Retries', function (t) {
+  var server = serve(function (req, count) {
+    return count < 3 ? { status: 503 } : { body: [{ name: 'Corey' }] }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      retry: {
+        attempts: 3,
+        delay: 1
+      }
+    })
+  })
+
+  People.proxy.fetch().then(function (result) {
+    t.ok(server.requests.length === 3 && result.data.length === 1, 'Failed requests retried until they succeed.')
+
+    server.requests.splice(0)
+    People.add({ name: 'Graham' })
+
+    return People.proxy.save()
+  }).then(function () {
+    t.fail('The save should fail.')
+  }, function (err) {
+    t.ok(err.status === 503 && server.requests.length === 1, 'POST requests are not retried by default.')
+  }).then(function () {
+    server.restore()
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Queue Replay', function (t) {
+  var items = {}
+  var reachable = false
+  var server = serve(function (req) {
+    return reachable ? { status: 201, body: { id: 1 } } : { status: 0 }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      queue: {
+        key: 'queue',
+        storage: {
+          getItem: function (key) {
+            return items.hasOwnProperty(key) ? items[key] : null
+          },
+          setItem: function (key, value) {
+            items[key] = value
+          }
+        }
+      }
+    })
+  })
+
+  People.add({ name: 'Corey' })
+
+  People.proxy.save().then(function (result) {
+    t.ok(result.queued === 1 && People.proxy.pending.length === 1, 'Unreachable requests held in the queue.')
+    t.ok(People.proxy.pending[0].method === 'POST' && People.proxy.pending[0].json.name === 'Corey', 'Queue entry contains the request.')
+
+    NGN.BUS.once('save.queue.complete', function (completed) {
+      t.ok(completed === 1 && People.proxy.pending.length === 0, 'Queued requests replayed when the browser is online.')
+      t.ok(server.requests.length === 2 && server.requests[1].method === 'POST', 'Replayed request sent to the server.')
+      server.restore()
+      t.end()
+    })
+
+    reachable = true
+    window.dispatchEvent(new window.Event('online'))
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Concurrency', function (t) {
+  var Versioned = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      version: null
+    }
+  })
+
+  var fetches = 0
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      fetches++
+
+      // Later fetches do not include versions, so the tracked ETags apply.
+      return { body: fetches === 1 ? [{ id: 1, name: 'Corey', version: 3 }] : [{ id: 1, name: 'Corey' }, { id: 7, name: 'Graham' }] }
+    }
+
+    if (req.method === 'POST') {
+      return { status: 201, body: { id: 7, name: 'Graham', version: 1 }, headers: { ETag: '"e1"' } }
+    }
+
+    return { body: JSON.parse(req.body), headers: { ETag: '"e2"' } }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Versioned,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      concurrency: {
+        versionField: 'version'
+      },
+      transformSaveResponse: function (body) {
+        return body
+      }
+    })
+  })
+
+  var created = new Versioned({ name: 'Graham' })
+
+  // The If-Match header sent to update a record.
+  var version = function (id) {
+    return server.requests.filter(function (req) {
+      return req.method === 'PUT' && req.url === 'https://api.domain.com/people/' + id
+    })[0].headers['If-Match']
+  }
+
+  People.proxy.fetch().then(function () {
+    People.first.name = 'Corey Butler'
+    People.add(created)
+
+    return People.proxy.save()
+  }).then(function () {
+    t.ok(version(1) === '3', 'Versions captured from fetched records.')
+    t.ok(created.id === 7 && created.version === 1, 'Server response applied to new records.')
+
+    server.requests.splice(0)
+
+    return People.proxy.fetch()
+  }).then(function () {
+    People.records.forEach(function (record) {
+      record.name += ' Butler'
+    })
+
+    return People.proxy.save()
+  }).then(function () {
+    t.ok(version(7) === '"e1"', 'ETag of a created record (tracked by its server-assigned ID) sent with the next update.')
+    t.ok(version(1) === '"e2"', 'ETag of an updated record sent with the next update.')
+
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Conflict Resolution', function (t) {
+  var Versioned = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      version: null
+    }
+  })
+
+  // The client fetched version 4 of the record. The server holds version 5
+  // and rejects stale updates.
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      return { body: req.url === 'https://api.domain.com/people' ? [{ id: 1, name: 'Original', version: 4 }] : { id: 1, name: 'Server', version: 5 } }
+    }
+
+    if (req.headers['If-Match'] !== '5') {
+      return { status: 412 }
+    }
+
+    return { body: JSON.parse(req.body) }
+  })
+
+  var conflicted = function (resolve) {
+    var People = new NGN.DATA.Store({
+      model: Versioned,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: 'https://api.domain.com/people',
+        concurrency: {
+          versionField: 'version',
+          resolve: resolve
+        }
+      })
+    })
+
+    return People.proxy.fetch().then(function () {
+      server.requests.splice(0)
+      People.first.name = 'Local'
+
+      return People.proxy.save()
+    }).then(function (result) {
+      return { result: result, model: People.first }
+    })
+  }
+
+  var conflicts = 0
+  var count = function () {
+    conflicts++
+  }
+
+  NGN.BUS.on('save.conflict', count)
+
+  conflicted(function () {
+    return 'server'
+  }).then(function (outcome) {
+    t.ok(outcome.result.conflicts === 1 && outcome.result.responses[0].resolution === 'server', 'Server resolution reported.')
+    t.ok(outcome.model.name === 'Server' && server.requests.length === 2, 'Server resolution applies the server data without resending.')
+
+    return conflicted(function () {
+      return 'client'
+    })
+  }).then(function (outcome) {
+    var retry = server.requests[2]
+
+    t.ok(outcome.result.conflicts === 1 && outcome.result.updated === 1, 'Client resolution saves the record.')
+    t.ok(retry.method === 'PUT' && retry.headers['If-Match'] === '5' && JSON.parse(retry.body).name === 'Local', 'Client resolution resends the local data with the server version.')
+
+    return conflicted(function (conflict) {
+      return { name: conflict.local.name + ' & ' + conflict.server.name }
+    })
+  }).then(function (outcome) {
+    t.ok(JSON.parse(server.requests[2].body).name === 'Local & Server', 'Merged data sent to the server.')
+    t.ok(outcome.model.name === 'Local & Server', 'Merged data applied to the model.')
+
+    return conflicted(null)
+  }).then(function () {
+    t.fail('An unresolved conflict should reject.')
+  }, function (err) {
+    t.ok(err.status === 412 && err.action === 'update', 'Unresolved conflicts reported as save errors.')
+    t.ok(conflicts === 4, 'save.conflict fired for every conflict.')
+  }).then(function () {
+    NGN.BUS.off('save.conflict', count)
+    server.restore()
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Save Routes', function (t) {
+  var Account = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      account: null
+    }
+  })
+
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      return {
+        body: [
+          { id: 1, account: 'a-1', name: 'Corey' },
+          { id: 2, account: 'a-2', name: 'Graham' },
+          { id: 3, account: 'a 3', name: 'Nobody' }
+        ]
+      }
+    }
+
+    return { body: {} }
+  })
+
+  // Update the first two accounts and delete the third.
+  var routed = function (cfg) {
+    cfg.url = 'https://api.domain.com/accounts'
+
+    var Accounts = new NGN.DATA.Store({
+      model: Account,
+      proxy: new NGNX.DATA.HttpProxy(cfg)
+    })
+
+    return Accounts.proxy.fetch().then(function () {
+      server.requests.splice(0)
+
+      Accounts.records[0].name = 'Corey Butler'
+      Accounts.records[1].name = 'Graham Butler'
+      Accounts.remove(Accounts.records[2])
+
+      return Accounts.proxy.save()
+    })
+  }
+
+  // Requests are sent concurrently, so the order is not significant.
+  var check = function (expected, message) {
+    var sent = server.requests.splice(0).map(function (req) {
+      return req.method + ' ' + req.url
+    })
+
+    t.deepEqual(sent.sort(), expected.sort(), message)
+  }
+
+  routed({}).then(function () {
+    check([
+      'PUT https://api.domain.com/accounts/1',
+      'PUT https://api.domain.com/accounts/2',
+      'DELETE https://api.domain.com/accounts/3'
+    ], 'Each record saved at its own URL.')
+
+    return routed({
+      routes: {
+        update: '{base}?id={id}',
+        delete: { url: '{base}?id={id}', method: 'post' }
+      }
+    })
+  }).then(function () {
+    check([
+      'PUT https://api.domain.com/accounts?id=1',
+      'PUT https://api.domain.com/accounts?id=2',
+      'POST https://api.domain.com/accounts?id=3'
+    ], 'Custom route templates and methods applied.')
+
+    return routed({ idField: 'account' })
+  }).then(function () {
+    check([
+      'PUT https://api.domain.com/accounts/a-1',
+      'PUT https://api.domain.com/accounts/a-2',
+      'DELETE https://api.domain.com/accounts/a%203'
+    ], 'Records identified by a custom idField.')
+
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Token Refresh', function (t) {
+  var authorization = function (req) {
+    var header = Object.keys(req.headers).filter(function (name) {
+      return name.toLowerCase() === 'authorization'
+    })[0]
+
+    return header ? req.headers[header] : ''
+  }
+
+  var server = serve(function (req) {
+    return authorization(req).indexOf('fresh') >= 0 ? { body: [] } : { status: 401 }
+  })
+
+  var refreshes = 0
+  var paused = null
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com',
+      token: 'stale',
+      latestFetchWins: false,
+      refreshToken: function () {
+        refreshes++
+
+        // A request made during the refresh waits for the new token.
+        paused = People.proxy.fetch('/paused')
+
+        return new Promise(function (resolve) {
+          setTimeout(function () {
+            resolve('fresh')
+          }, 10)
+        })
+      }
+    })
+  })
+
+  Promise.all([People.proxy.fetch('/first'), People.proxy.fetch('/second')]).then(function (results) {
+    t.ok(refreshes === 1, 'Concurrent 401 responses refresh the token once.')
+    t.ok(results[0].status === 200 && results[1].status === 200, 'Rejected requests sent again with the new token.')
+
+    return paused
+  }).then(function (result) {
+    var unauthorized = server.requests.filter(function (req) {
+      return authorization(req).indexOf('fresh') < 0
+    })
+
+    t.ok(result.status === 200 && unauthorized.length === 2, 'Requests made during a refresh are paused until the token is refreshed.')
+    t.ok(server.requests.length === 5, 'Every request sent once with the new token.')
+
+    var failed = null
+    var Denied = new NGN.DATA.Store({
+      model: Person,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: 'https://api.domain.com/denied',
+        token: 'stale',
+        refreshToken: function () {
+          return Promise.reject(new Error('Session expired.'))
+        }
+      })
+    })
+
+    NGN.BUS.once('auth.failed', function (e) {
+      failed = e
+    })
+
+    return Denied.proxy.fetch().then(function () {
+      t.fail('The fetch should fail.')
+    }, function (err) {
+      t.ok(err.status === 401, 'The 401 response is processed when the refresh fails.')
+      t.ok(failed !== null && failed.url === 'https://api.domain.com/denied' && failed.error.message === 'Session expired.', 'auth.failed fired when the refresh fails.')
+    })
+  }).then(function () {
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Bulk Saves', function (t) {
+  var Account = new NGN.DATA.Model({
+    fields: {
+      name: null
+    }
+  })
+
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      return { body: [{ id: 1, name: 'Original' }, { id: 2, name: 'Deleted' }] }
+    }
+
+    var body = JSON.parse(req.body)
+
+    if (req.url.indexOf('/changeset') > 0) {
+      return {
+        body: {
+          create: body.create.map(function (record, index) {
+            return { status: 201, data: { id: 100 + index } }
+          }),
+          update: [{ status: 200, data: {} }],
+          delete: [{ status: 404, error: { message: 'Not found.' } }]
+        }
+      }
+    }
+
+    if (req.method === 'POST') {
+      return { status: 201, body: body.map(function (record, index) { return { id: 10 + index } }) }
+    }
+
+    return { body: { results: body.map(function () { return {} }) } }
+  })
+
+  // Retrieve the accounts, then update the first one and add new records.
+  var store = function (bulk, created) {
+    var Accounts = new NGN.DATA.Store({
+      model: Account,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: 'https://api.domain.com/accounts',
+        bulk: bulk
+      })
+    })
+
+    return Accounts.proxy.fetch().then(function () {
+      server.requests.splice(0)
+
+      Accounts.first.name = 'Updated'
+      created.forEach(function (model) {
+        Accounts.add(model)
+      })
+
+      return Accounts
+    })
+  }
+
+  var created = [new Account({ name: 'Corey' }), new Account({ name: 'Graham' })]
+
+  store(true, created).then(function (Accounts) {
+    Accounts.remove(Accounts.records[1])
+
+    return Accounts.proxy.save()
+  }).then(function (result) {
+    var post = server.requests.filter(function (req) { return req.method === 'POST' })[0]
+    var put = server.requests.filter(function (req) { return req.method === 'PUT' })[0]
+
+    t.ok(server.requests.length === 3, 'One request sent per action.')
+    t.ok(post.url === 'https://api.domain.com/accounts' && JSON.parse(post.body).length === 2, 'Created records sent together.')
+    t.ok(JSON.parse(put.body)[0].name === 'Updated', 'Updated records sent together.')
+    t.ok(created[0].id === 10 && created[1].id === 11, 'Per-record results applied to each model.')
+    t.ok(result.created === 2 && result.updated === 1 && result.deleted === 1, 'Bulk results counted per record.')
+
+    created = [new Account({ name: 'Corey' })]
+
+    return store({ changeset: true, endpoint: '/changeset' }, created)
+  }).then(function (Accounts) {
+    Accounts.remove(Accounts.records[1])
+
+    return Accounts.proxy.save()
+  }).then(function () {
+    t.fail('The failed delete should reject the save.')
+  }, function (err) {
+    var changeset = JSON.parse(server.requests[0].body)
+
+    t.ok(server.requests.length === 1 && server.requests[0].url === 'https://api.domain.com/accounts/changeset', 'Changesets sent in a single request.')
+    t.ok(changeset.create[0].name === 'Corey' && changeset.update[0].name === 'Updated' && changeset.delete[0] === 2, 'Changeset contains every action.')
+    t.ok(created[0].id === 100, 'Changeset results applied to each model.')
+    t.ok(err.status === 404 && err.action === 'delete' && err.body.message === 'Not found.', 'Per-record failures reported as save errors.')
+    t.ok(err.result.created === 1 && err.result.updated === 1 && err.result.deleted === 0, 'Successful records in a changeset counted.')
+  }).then(function () {
+    server.restore()
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Pagination', function (t) {
+  var records = ['A', 'B', 'C', 'D', 'E'].map(function (name) {
+    return { name: name }
+  })
+
+  // Serve two records at a time, identifying the first record from the
+  // page, offset, cursor or start parameter.
+  var server = serve(function (req) {
+    var params = {}
+
+    ;(req.url.split('?')[1] || '').split('&').forEach(function (pair) {
+      pair = pair.split('=')
+      params[decodeURIComponent(pair[0])] = decodeURIComponent(pair[1])
+    })
+
+    var size = parseInt(NGN.coalesce(params.limit, 2), 10)
+    var first = params.page !== undefined
+      ? (params.page - 1) * size
+      : parseInt(NGN.coalesce(params.offset, params.cursor, params.start, 0), 10)
+    var more = first + size < records.length
+
+    return {
+      body: {
+        data: records.slice(first, first + size),
+        next: more ? String(first + size) : null
+      },
+      headers: more ? { Link: '<https://api.domain.com/people?start=' + (first + size) + '>; rel="next"' } : {}
+    }
+  })
+
+  var store = function (strategy, all) {
+    return new NGN.DATA.Store({
+      model: Person,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: 'https://api.domain.com/people',
+        dataPath: 'data',
+        pagination: {
+          strategy: strategy,
+          size: 2,
+          all: all
+        }
+      })
+    })
+  }
+
+  var urls = function () {
+    return server.requests.splice(0).map(function (req) {
+      return req.url.replace('https://api.domain.com/people', '')
+    })
+  }
+
+  var expected = {
+    page: ['?page=1&limit=2', '?page=2&limit=2', '?page=3&limit=2'],
+    offset: ['?offset=0&limit=2', '?offset=2&limit=2', '?offset=4&limit=2'],
+    cursor: ['?limit=2', '?limit=2&cursor=2', '?limit=2&cursor=4'],
+    link: ['', '?start=2', '?start=4']
+  }
+
+  Object.keys(expected).reduce(function (promise, strategy) {
+    return promise.then(function () {
+      var Store = store(strategy, true)
+
+      return Store.proxy.fetch().then(function (result) {
+        t.deepEqual(urls(), expected[strategy], 'The ' + strategy + ' strategy requests each page.')
+        t.ok(result.data.length === 5 && result.pages === 3 && Store.recordCount === 5, 'The ' + strategy + ' strategy retrieves every page.')
+      })
+    })
+  }, Promise.resolve()).then(function () {
+    var People = store('page', false)
+
+    return People.proxy.fetch().then(function (result) {
+      t.ok(result.data.length === 2 && result.hasMore && People.recordCount === 2, 'Only the first page is retrieved by default.')
+
+      return People.proxy.next()
+    }).then(function (result) {
+      t.ok(result.data.length === 2 && result.hasMore && People.recordCount === 4, 'next() appends the next page to the store.')
+
+      return People.proxy.next()
+    }).then(function (result) {
+      t.ok(result.data.length === 1 && !result.hasMore && People.recordCount === 5, 'The last page is identified.')
+      t.deepEqual(urls(), expected.page, 'next() requests each page.')
+
+      return People.proxy.next().then(function () {
+        t.fail('next() should reject when there are no more pages.')
+      }, function (err) {
+        t.ok(err instanceof Error, 'next() rejects when there are no more pages.')
+      })
+    })
+  }).then(function () {
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Interceptors', function (t) {
+  var server = serve(function (req) {
+    return req.url.indexOf('/broken') > 0 ? { status: 500 } : { body: [{ name: 'Corey' }] }
+  })
+
+  var calls = []
+  var recorder = function (name) {
+    return {
+      request: function (req) {
+        calls.push(name + '.request')
+        req.headers['X-Interceptor'] = name
+        return req
+      },
+      response: function (res) {
+        calls.push(name + '.response')
+      },
+      error: function (res) {
+        calls.push(name + '.error')
+      }
+    }
+  }
+
+  var global = recorder('global')
+
+  NGNX.DATA.HttpProxy.intercept(global)
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/people',
+      interceptors: [recorder('configured')]
+    })
+  })
+
+  People.proxy.intercept(recorder('added'))
+
+  var cleanup = function () {
+    NGNX.DATA.HttpProxy.interceptors.splice(NGNX.DATA.HttpProxy.interceptors.indexOf(global), 1)
+    server.restore()
+  }
+
+  People.proxy.fetch().then(function () {
+    t.deepEqual(calls.splice(0), [
+      'global.request',
+      'configured.request',
+      'added.request',
+      'global.response',
+      'configured.response',
+      'added.response'
+    ], 'Global interceptors run before the interceptors of the proxy.')
+    t.ok(server.requests[0].headers['X-Interceptor'] === 'added', 'Request interceptors modify the request.')
+
+    return People.proxy.fetch('/broken').then(function () {
+      t.fail('The fetch should fail.')
+    }, function (err) {
+      t.ok(err.status === 500, 'Failed responses reach the caller.')
+      t.deepEqual(calls.splice(0).slice(3), ['global.error', 'configured.error', 'added.error'], 'Error interceptors receive failed responses.')
+    })
+  }).then(function () {
+    People.proxy.intercept({
+      error: function (res, req) {
+        return {
+          status: 200,
+          responseText: JSON.stringify([{ name: 'Recovered' }]),
+          getResponseHeader: function () {
+            return null
+          }
+        }
+      }
+    })
+
+    return People.proxy.fetch('/broken')
+  }).then(function (result) {
+    t.ok(result.status === 200 && result.data[0].name === 'Recovered', 'Error interceptors may replace the response.')
+
+    People.proxy.intercept({
+      response: function () {
+        throw new Error('Rejected by interceptor.')
+      }
+    })
+
+    return People.proxy.fetch('/people').then(function () {
+      t.fail('The fetch should fail.')
+    }, function (err) {
+      t.ok(err.message === 'Rejected by interceptor.', 'Interceptor errors reject the operation.')
+    })
+  }).then(function () {
+    cleanup()
+    t.end()
+  }).catch(function (err) {
+    cleanup()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Patches', function (t) {
+  var Account = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      email: null
+    }
+  })
+
+  var failing = false
+  var records = []
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      return { body: records }
+    }
+
+    return failing ? { status: 500 } : { body: {} }
+  })
+
+  // Retrieve the records, so the changes made afterward are patched.
+  var store = function (patch, data) {
+    var Accounts = new NGN.DATA.Store({
+      model: Account,
+      proxy: new NGNX.DATA.HttpProxy({
+        url: 'https://api.domain.com/accounts',
+        patch: patch
+      })
+    })
+
+    records = data
+
+    return Accounts.proxy.fetch().then(function () {
+      server.requests.splice(0)
+      return Accounts
+    })
+  }
+
+  var sent = function () {
+    var req = server.requests.splice(0)[0]
+
+    return {
+      method: req.method,
+      url: req.url,
+      type: req.headers['Content-Type'],
+      body: JSON.parse(req.body)
+    }
+  }
+
+  var Merged
+
+  store('merge', [{ id: 1, name: 'Corey', email: 'corey@domain.com' }]).then(function (Accounts) {
+    Merged = Accounts
+    Merged.first.email = 'cbutler@domain.com'
+
+    return Merged.proxy.save()
+  }).then(function () {
+    var req = sent()
+
+    t.ok(req.method === 'PATCH' && req.url === 'https://api.domain.com/accounts/1', 'Patches sent to the update route.')
+    t.ok(req.type === 'application/merge-patch+json', 'Merge patches identified by the content type.')
+    t.deepEqual(req.body, { email: 'cbutler@domain.com' }, 'Merge patch contains the changed fields.')
+
+    Merged.first.name = 'Graham'
+
+    return Merged.proxy.save()
+  }).then(function () {
+    t.deepEqual(sent().body, { name: 'Graham' }, 'Changes already saved are not sent again.')
+
+    failing = true
+    Merged.first.email = 'graham@domain.com'
+
+    return Merged.proxy.save().catch(function () {})
+  }).then(function () {
+    server.requests.splice(0)
+
+    failing = false
+    Merged.first.name = 'Graham Butler'
+
+    return Merged.proxy.save()
+  }).then(function () {
+    t.deepEqual(sent().body, { email: 'graham@domain.com', name: 'Graham Butler' }, 'Changes that failed to save are sent again.')
+
+    return store('json', [{ id: 2, name: 'Corey', email: null }])
+  }).then(function (Patched) {
+    Patched.first.email = 'corey@domain.com'
+    Patched.first.name = 'Corey Butler'
+
+    return Patched.proxy.save()
+  }).then(function () {
+    var req = sent()
+
+    t.ok(req.method === 'PATCH' && req.type === 'application/json-patch+json', 'JSON Patches identified by the content type.')
+    t.deepEqual(req.body, [
+      { op: 'replace', path: '/email', value: 'corey@domain.com' },
+      { op: 'replace', path: '/name', value: 'Corey Butler' }
+    ], 'JSON Patch contains an operation for each changed field.')
+
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.HttpProxy Resumable Uploads', function (t) {
+  var Document = new NGN.DATA.Model({
+    fields: {
+      name: null,
+      file: null
+    }
+  })
+
+  var file = new window.File(['0123456789'], 'notes.txt', { type: 'text/plain', lastModified: 1 })
+  var key = 'ngnx.upload.' + ['https://api.domain.com/uploads', file.name, file.size, file.lastModified].join('|')
+  var offset = 0
+  var interrupt = true
+
+  // A tus server that interrupts the first upload after one chunk.
+  var server = serve(function (req) {
+    if (req.url === 'https://api.domain.com/documents') {
+      return { status: 201, body: JSON.parse(req.body) }
+    }
+
+    switch (req.method) {
+      case 'POST':
+        return { status: 201, headers: { Location: '/uploads/1' } }
+
+      case 'HEAD':
+        return { headers: { 'Upload-Offset': offset } }
+
+      case 'PATCH':
+        if (interrupt && offset > 0) {
+          return { status: 500 }
+        }
+
+        offset += req.body.size
+        return { status: 204, headers: { 'Upload-Offset': offset } }
+    }
+  })
+
+  var progress = []
+  var track = function (e) {
+    progress.push(e.loaded)
+  }
+
+  NGN.BUS.on('save.progress', track)
+
+  var Documents = new NGN.DATA.Store({
+    model: Document,
+    proxy: new NGNX.DATA.HttpProxy({
+      url: 'https://api.domain.com/documents',
+      upload: {
+        url: 'https://api.domain.com/uploads',
+        chunkSize: 4
+      }
+    })
+  })
+
+  var model = new Document({ name: 'notes', file: file })
+  var requests = function () {
+    return server.requests.splice(0).map(function (req) {
+      return {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: req.body
+      }
+    })
+  }
+
+  var cleanup = function () {
+    NGN.BUS.off('save.progress', track)
+    window.localStorage.removeItem(key)
+    server.restore()
+  }
+
+  Documents.add(model)
+
+  Documents.proxy.save().then(function () {
+    t.fail('The interrupted upload should fail.')
+  }, function (err) {
+    var sent = requests()
+
+    t.ok(err.status === 500, 'Interrupted uploads fail the save.')
+    t.ok(sent[0].method === 'POST' && sent[0].url === 'https://api.domain.com/uploads', 'Upload created at the tus endpoint.')
+    t.ok(sent[0].headers['Tus-Resumable'] === '1.0.0' && sent[0].headers['Upload-Length'] === '10', 'Upload created with the file size.')
+    t.ok(sent[0].headers['Upload-Metadata'] === 'filename ' + window.btoa('notes.txt') + ',field ' + window.btoa('file'), 'Upload metadata identifies the file and field.')
+    t.ok(sent[1].method === 'PATCH' && sent[1].url === 'https://api.domain.com/uploads/1', 'Chunks sent to the upload URL.')
+    t.ok(sent[1].headers['Upload-Offset'] === '0' && sent[1].headers['Content-Type'] === 'application/offset+octet-stream' && sent[1].body.size === 4, 'First chunk sent from the start of the file.')
+    t.ok(sent[2].headers['Upload-Offset'] === '4' && sent.length === 3, 'Next chunk sent from the acknowledged offset.')
+    t.ok(window.localStorage.getItem(key) === 'https://api.domain.com/uploads/1', 'Interrupted upload remembered.')
+
+    interrupt = false
+
+    // The record has not been created, so it is saved again.
+    return Documents.proxy.save()
+  }).then(function (result) {
+    var sent = requests()
+
+    t.deepEqual(sent.map(function (req) { return req.method }), ['HEAD', 'PATCH', 'PATCH', 'POST'], 'Interrupted upload resumed.')
+    t.ok(sent[0].url === 'https://api.domain.com/uploads/1', 'Upload offset requested from the server.')
+    t.ok(sent[1].headers['Upload-Offset'] === '4' && sent[2].headers['Upload-Offset'] === '8' && sent[2].body.size === 2, 'Remaining chunks sent from the server offset.')
+    t.ok(JSON.parse(sent[3].body).file === 'https://api.domain.com/uploads/1' && result.created === 1, 'Record saved with the upload URL.')
+    t.ok(window.localStorage.getItem(key) === null, 'Completed upload forgotten.')
+    t.ok(progress[progress.length - 1] === 10, 'Upload progress reported.')
+
+    cleanup()
+    t.end()
+  }).catch(function (err) {
+    cleanup()
+    t.fail(err.message)
+    t.end()
+  })
+})
@@ -0,0 +1,156 @@
+'use strict'
+
+var test = require('tape')
+var serve = require('./helpers/server')
+
+var Article = new NGN.DATA.Model({
+  fields: {
+    title: null,
+    author: null
+  }
+})
+
+test('NGNX.DATA.JsonApiProxy Fetch', function (t) {
+  var Articles = new NGN.DATA.Store({
+    model: Article,
+    proxy: new NGNX.DATA.JsonApiProxy({
+      url: './base/test/data',
+      type: 'articles',
+      relationships: {
+        author: 'people'
+      }
+    })
+  })
+
+  Articles.proxy.fetch('/articles.json').then(function (result) {
+    t.ok(result.data.length === 2, 'Resource objects extracted from the document.')
+    t.ok(result.data[0].id === '1' && result.data[0].title === 'JSON:API paints my bikeshed!', 'Attributes flattened into records.')
+    t.ok(result.data[0].author.name === 'Dan Gebhardt', 'Included relationships resolved.')
+    t.ok(result.data[1].author === '10', 'Relationships that are not included are represented by ID.')
+    t.ok(result.meta.total === 2, 'Document metadata available.')
+    t.ok(Articles.recordCount === 2, 'Records loaded into the store.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.JsonApiProxy Configuration', function (t) {
+  t.throws(function () {
+    return new NGNX.DATA.JsonApiProxy({
+      url: './base/test/data'
+    })
+  }, 'Requires a resource type.')
+
+  t.end()
+})
+
+test('NGNX.DATA.JsonApiProxy Save', function (t) {
+  var server = serve(function (req) {
+    if (req.method === 'GET') {
+      return {
+        body: {
+          data: [{ type: 'articles', id: '1', attributes: { title: 'Rails is Omakase' }, relationships: { author: { data: { type: 'people', id: '9' } } } }]
+        }
+      }
+    }
+
+    var resource = JSON.parse(req.body).data
+
+    resource.id = NGN.coalesce(resource.id, '2')
+
+    return {
+      status: req.method === 'POST' ? 201 : 200,
+      body: { data: resource }
+    }
+  })
+
+  var Articles = new NGN.DATA.Store({
+    model: Article,
+    proxy: new NGNX.DATA.JsonApiProxy({
+      url: 'https://api.domain.com/articles',
+      type: 'articles',
+      relationships: {
+        author: 'people'
+      }
+    })
+  })
+
+  Articles.proxy.fetch().then(function () {
+    Articles.first.title = 'JSON:API paints my bikeshed!'
+    Articles.add({ title: 'Omakase', author: '10' })
+
+    return Articles.proxy.save()
+  }).then(function (result) {
+    var create = server.requests.filter(function (req) { return req.method === 'POST' })[0]
+    var update = server.requests.filter(function (req) { return req.method === 'PATCH' })[0]
+    var created = JSON.parse(create.body).data
+    var updated = JSON.parse(update.body).data
+
+    t.ok(result.created === 1 && result.updated === 1, 'Records created and updated.')
+    t.ok(created.type === 'articles' && !created.hasOwnProperty('id'), 'Created resources have a type and no ID.')
+    t.ok(created.attributes.title === 'Omakase' && !created.attributes.hasOwnProperty('author'), 'Fields sent as attributes.')
+    t.ok(created.relationships.author.data.type === 'people' && created.relationships.author.data.id === '10', 'Relationship fields sent as resource identifiers.')
+    t.ok(update.url === 'https://api.domain.com/articles/1', 'Updates sent to the resource URL.')
+    t.ok(updated.type === 'articles' && updated.id === '1' && updated.attributes.title === 'JSON:API paints my bikeshed!', 'Updated resources identified by type and ID.')
+    t.ok([create, update].every(function (req) {
+      return req.headers['Content-Type'] === 'application/vnd.api+json' && req.headers.Accept === 'application/vnd.api+json'
+    }), 'The JSON:API media type is used.')
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.JsonApiProxy Errors', function (t) {
+  var server = serve(function () {
+    return {
+      status: 422,
+      body: {
+        errors: [{
+          status: '422',
+          code: 'blank',
+          title: 'Invalid Attribute',
+          detail: 'Title must not be blank.',
+          source: { pointer: '/data/attributes/title' }
+        }]
+      }
+    }
+  })
+
+  var Articles = new NGN.DATA.Store({
+    model: Article,
+    proxy: new NGNX.DATA.JsonApiProxy({
+      url: 'https://api.domain.com/articles',
+      type: 'articles'
+    })
+  })
+
+  var failure = null
+
+  NGN.BUS.once('save.error', function (e) {
+    failure = e
+  })
+
+  Articles.add({ title: '' })
+
+  Articles.proxy.save().then(function () {
+    t.fail('The rejected record should reject the save.')
+  }, function (err) {
+    t.ok(err.message === 'Title must not be blank.', 'The error message describes the JSON:API errors.')
+    t.ok(failure !== null && failure.status === 422 && failure.message === 'Title must not be blank.', 'save.error fired with the error message.')
+    t.ok(failure.errors.length === 1 && failure.errors[0].code === 'blank' && failure.errors[0].title === 'Invalid Attribute', 'JSON:API errors mapped onto the save.error payload.')
+    t.ok(failure.errors[0].field === 'title' && failure.errors[0].source.pointer === '/data/attributes/title', 'Errors identify the field they refer to.')
+  }).then(function () {
+    server.restore()
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    t.fail(err.message)
+    t.end()
+  })
+})
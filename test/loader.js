@@ -20,3 +20,260 @@ test('Synchronous Loading', {
     t.end()
   })
 })
+
+test('Loading Failures', {
+  timeout: 3000
+}, function (t) {
+  var errorEvent = false
+  var callbackError = null
+
+  NGN.BUS.once('load.error', function () {
+    errorEvent = true
+  })
+
+  NGNX.Loader({
+    sync: [
+      './base/test/data/include1.js',
+      './base/test/data/missing1.js',
+      './base/test/data/include2.js'
+    ],
+    async: [
+      './base/test/data/missing2.js'
+    ]
+  }, function (files, err) {
+    callbackError = err
+  }).then(function () {
+    t.fail('Promise should not resolve when a file fails to load.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(errorEvent, 'load.error event triggered.')
+    t.ok(callbackError === err, 'Callback receives the error.')
+    t.ok(err.failures.length === 1, 'Rejected with the failed file.')
+    t.ok(err.failures[0].file === './base/test/data/missing1.js' && [0, 404].indexOf(err.failures[0].status) >= 0, 'Failure reports the file and HTTP status (when the browser provides it).')
+    t.ok(err.failures[0].stage === 'sync', 'Failure reports the stage.')
+    t.ok(err.loaded.length === 1 && err.loaded[0] === './base/test/data/include1.js', 'Files after a failed synchronous file are not loaded.')
+
+    return NGNX.Loader({
+      async: [
+        './base/test/data/include1.js',
+        './base/test/data/missing2.js'
+      ]
+    })
+  }).catch(function (err) {
+    t.ok(err.failures.length === 1 && err.failures[0].stage === 'async', 'Asynchronous failure reports the stage.')
+    t.ok(err.loaded.length === 1, 'Other asynchronous files are loaded.')
+    t.end()
+  })
+})
+
+test('Callers Without a Promise Handler', {
+  timeout: 3000
+}, function (t) {
+  var unhandled = function () {
+    t.fail('Rejection should be handled when an event name is provided.')
+  }
+
+  window.addEventListener('unhandledrejection', unhandled)
+
+  NGN.BUS.once('load.error', function () {
+    setTimeout(function () {
+      window.removeEventListener('unhandledrejection', unhandled)
+      t.pass('No unhandled rejection.')
+      t.end()
+    }, 100)
+  })
+
+  var loader = NGNX.Loader({
+    sync: ['./base/test/data/missing1.js']
+  }, 'missing.loaded')
+
+  t.ok(loader.sync.length === 1 && loader.async.length === 0, 'File lists available on the result.')
+})
+
+test('Files Listed as Synchronous and Asynchronous', {
+  timeout: 3000
+}, function (t) {
+  NGNX.Loader({
+    sync: [
+      './base/test/data/include1.js',
+      './base/test/data/include2.js'
+    ],
+    async: [
+      './base/test/data/include2.js'
+    ]
+  }).then(function (files) {
+    t.ok(files.join() === './base/test/data/include1.js,./base/test/data/include2.js', 'Each file is loaded once, in synchronous order.')
+
+    return NGNX.Loader({
+      sync: [
+        './base/test/data/include1.js',
+        './base/test/data/include2.js',
+        './base/test/data/include1.js'
+      ]
+    })
+  }).then(function (files) {
+    t.ok(files.join() === './base/test/data/include1.js,./base/test/data/include2.js', 'Files listed twice in the synchronous chain are loaded once.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('Dependency Graph', {
+  timeout: 3000
+}, function (t) {
+  NGNX.Loader({
+    dependencies: {
+      './base/test/data/graph-b.js': ['./base/test/data/graph-a.js']
+    }
+  }).then(function (files) {
+    t.ok(window.LOADER_GRAPH.join() === 'a,b', 'Dependencies are loaded first.')
+    t.ok(files.join() === './base/test/data/graph-a.js,./base/test/data/graph-b.js', 'Resolved with files in dependency order.')
+
+    return NGNX.Loader({
+      dependencies: {
+        'a.js': ['c.js'],
+        'b.js': 'a.js',
+        'c.js': ['b.js']
+      }
+    })
+  }).then(function () {
+    t.fail('Circular dependencies should be rejected.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(err.cycle.join(' -> ') === 'c.js -> b.js -> a.js -> c.js', 'Circular dependency detected.')
+    t.ok(err.message.indexOf('c.js -> b.js -> a.js -> c.js') >= 0, 'Error identifies the cycle.')
+    t.end()
+  })
+})
+
+test('Progress and Fallbacks', {
+  timeout: 3000
+}, function (t) {
+  var progress = []
+
+  var track = function (e) {
+    progress.push(e)
+  }
+
+  NGN.BUS.on('load.progress', track)
+
+  NGNX.Loader({
+    sync: ['./base/test/data/missing1.js'],
+    async: ['./base/test/data/include2.js'],
+    fallback: {
+      './base/test/data/missing1.js': './base/test/data/include1.js'
+    },
+    retries: 1,
+    timeout: 2000
+  }).then(function (files) {
+    NGN.BUS.off('load.progress', track)
+
+    t.ok(files.length === 2, 'Fallback URL loaded in place of the missing file.')
+    t.ok(progress.length === 2, 'load.progress triggered for each file.')
+    t.ok(progress[0].url === './base/test/data/include1.js', 'Progress identifies the fallback URL.')
+    t.ok(progress[1].loaded === 2 && progress[1].total === 2, 'Progress reports loaded/total counts.')
+    t.ok(progress[1].bytes > 0 && progress[1].loadedBytes === progress[0].bytes + progress[1].bytes, 'Progress reports bytes.')
+    t.end()
+  }).catch(function (err) {
+    NGN.BUS.off('load.progress', track)
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('Type-Aware Loading', {
+  timeout: 3000
+}, function (t) {
+  var reported = false
+
+  NGN.BUS.once('load.error', function () {
+    reported = true
+  })
+
+  NGNX.Loader({
+    async: ['./base/test/data/people.json'],
+    type: {
+      './base/test/data/people.json': 'xml'
+    }
+  }).then(function () {
+    t.fail('Unsupported types should be rejected.')
+  }).catch(function (err) {
+    t.ok(err.message.indexOf('"xml" is not a valid type') === 0, 'Unsupported types are rejected.')
+    t.ok(reported, 'load.error triggered for unsupported types.')
+
+    return NGNX.Loader({
+      async: [
+        './base/test/data/people.json',
+        './base/test/data/loader.css',
+        './base/test/template.html'
+      ]
+    })
+  }).then(function (files) {
+    t.ok(files.length === 3, 'All files loaded.')
+    t.ok(Array.isArray(files.json['./base/test/data/people.json']) && files.json['./base/test/data/people.json'][0].name === 'Corey', 'JSON parsed into the returned map.')
+    t.ok(document.querySelector('link[href="./base/test/data/loader.css"]') !== null, 'Stylesheet added to the document.')
+    t.ok(NGNX.Loader.templates.template.indexOf('blob:') === 0, 'HTML registered as a named template with the retrieved content.')
+
+    return NGNX.Loader({
+      async: ['./base/test/data/template.html'],
+      fallback: {
+        './base/test/data/template.html': './base/test/template.html'
+      }
+    })
+  }).then(function () {
+    t.fail('Templates with the same name should be rejected.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(err.failures && err.failures[0].error.message.indexOf('a template named "template" was already loaded') > 0, 'Templates with the same name are rejected.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('Subresource Integrity', {
+  timeout: 3000
+}, function (t) {
+  NGNX.Loader({
+    sync: ['./base/test/data/people.json'],
+    integrity: {
+      './base/test/data/people.json': 'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='
+    },
+    nonce: 'ngnx'
+  }).then(function () {
+    t.fail('Files that do not match their integrity hash should not be loaded.')
+    t.end()
+  }).catch(function (err) {
+    t.ok(err.failures.length === 1 && err.failures[0].error instanceof Error, 'Rejected with the verification error.')
+    t.ok(err.failures[0].error.message.indexOf('Integrity verification failed') >= 0, 'Error identifies the failed verification.')
+
+    return NGNX.Loader({
+      async: ['./base/test/data/bom.json'],
+      integrity: {
+        './base/test/data/bom.json': 'sha256-sYT1Eqj6WszLDSUze8pwXrotnUA0u9PYi7DMRxuNpgQ='
+      }
+    })
+  }).then(function (files) {
+    t.ok(files.json['./base/test/data/bom.json'].bom === true, 'Integrity is verified using the bytes received, including a byte order mark.')
+
+    return NGNX.Loader({
+      async: ['./base/test/data/loader.css'],
+      nonce: 'ngnx',
+      crossorigin: 'anonymous'
+    })
+  }).then(function () {
+    var link = document.querySelectorAll('link[href="./base/test/data/loader.css"]')
+
+    link = link[link.length - 1]
+
+    t.ok(link.getAttribute('nonce') === 'ngnx' || link.nonce === 'ngnx', 'Nonce applied to created elements.')
+    t.ok(link.getAttribute('crossorigin') === 'anonymous', 'Crossorigin setting applied to created elements.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
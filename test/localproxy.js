@@ -0,0 +1,133 @@
+'use strict'
+
+var test = require('tape')
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+var roundtrip = function (t, storage) {
+  var namespace = 'test.' + storage + '.' + Date.now()
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.LocalProxy({
+      namespace: namespace,
+      storage: storage
+    })
+  })
+
+  People.add({ name: 'Corey' })
+  People.add({ name: 'Graham' })
+
+  People.proxy.save().then(function (result) {
+    t.ok(result.created === 2, 'Resolves with the number of records created.')
+    t.ok(People.proxy.storage === storage, 'Records persisted to ' + storage + '.')
+
+    var Copy = new NGN.DATA.Store({
+      model: Person,
+      proxy: new NGNX.DATA.LocalProxy({
+        namespace: namespace,
+        storage: storage
+      })
+    })
+
+    return Copy.proxy.fetch().then(function (result) {
+      t.ok(result.data.length === 2 && Copy.recordCount === 2, 'Persisted records loaded into another store.')
+      return Copy.proxy.clear()
+    })
+  }).then(function () {
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+}
+
+test('NGNX.DATA.LocalProxy localStorage', function (t) {
+  roundtrip(t, 'localstorage')
+})
+
+test('NGNX.DATA.LocalProxy IndexedDB', function (t) {
+  roundtrip(t, 'indexeddb')
+})
+
+test('NGNX.DATA.LocalProxy Migrations', function (t) {
+  var namespace = 'test.migrations.' + Date.now()
+
+  window.localStorage.setItem('ngnx.' + namespace, JSON.stringify({
+    version: 1,
+    records: {
+      a: { id: 'a', first: 'Corey', last: 'Butler' }
+    }
+  }))
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.LocalProxy({
+      namespace: namespace,
+      storage: 'localstorage',
+      version: 2,
+      migrations: {
+        2: function (record) {
+          return { id: record.id, name: record.first + ' ' + record.last }
+        }
+      }
+    })
+  })
+
+  People.proxy.fetch().then(function (result) {
+    t.ok(result.data[0].name === 'Corey Butler', 'Stored records migrated to the current schema version.')
+    t.ok(JSON.parse(window.localStorage.getItem('ngnx.' + namespace)).version === 2, 'Schema version updated.')
+    window.localStorage.removeItem('ngnx.' + namespace)
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+var replacement = function (t, storage) {
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.LocalProxy({
+      namespace: 'test.replace.' + storage + '.' + Date.now(),
+      storage: storage
+    })
+  })
+
+  People.add({ name: 'Corey' })
+  People.add({ name: 'Graham' })
+
+  People.proxy.save().then(function () {
+    return People.proxy.replace([{ name: 'Kara' }]).then(function () {
+      t.fail('Records without an ID cannot be stored.')
+    }, function () {
+      return People.proxy.fetch()
+    })
+  }).then(function (result) {
+    t.ok(result.data.length === 2, 'Persisted records are unchanged when the replacement fails (' + storage + ').')
+    return People.proxy.write([{ name: 'Kara' }]).then(function () {
+      t.fail('Records without an ID cannot be written.')
+    }, function () {
+      return People.proxy.fetch()
+    })
+  }).then(function (result) {
+    t.ok(result.data.length === 2, 'Records without an ID are rejected by write (' + storage + ').')
+    return People.proxy.clear()
+  }).then(function () {
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+}
+
+test('NGNX.DATA.LocalProxy Failed Replacement', function (t) {
+  replacement(t, 'indexeddb')
+})
+
+test('NGNX.DATA.LocalProxy Failed Replacement (localStorage)', function (t) {
+  replacement(t, 'localstorage')
+})
@@ -0,0 +1,314 @@
+'use strict'
+
+var test = require('tape')
+var serve = require('./helpers/server')
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+// An interceptor that replaces every server response with the status.
+var respondWith = function (status) {
+  var reply = function () {
+    return {
+      status: status,
+      responseText: '',
+      getResponseHeader: function () {
+        return null
+      }
+    }
+  }
+
+  return {
+    response: reply,
+    error: reply
+  }
+}
+
+var cleanup = function (namespace) {
+  window.localStorage.removeItem('ngnx.' + namespace)
+  window.localStorage.removeItem('ngnx.' + namespace + '.changelog')
+}
+
+// Write change log entries (each an action, ID and data) for a namespace.
+var seed = function (namespace, changes) {
+  window.localStorage.setItem('ngnx.' + namespace + '.changelog', JSON.stringify(changes.map(function (change, index) {
+    return {
+      seq: index + 1,
+      action: change[0],
+      id: change[1],
+      data: NGN.coalesce(change[2], null),
+      time: Date.now()
+    }
+  })))
+}
+
+test('NGNX.DATA.OfflineProxy Change Log', function (t) {
+  var namespace = 'test.offline.' + Date.now()
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.OfflineProxy({
+      namespace: namespace,
+      local: {
+        storage: 'localstorage'
+      },
+      remote: {
+        url: './base/test/data/missing',
+        interceptors: [respondWith(503)]
+      }
+    })
+  })
+
+  People.add({ name: 'Corey' })
+
+  People.proxy.save().then(function (result) {
+    t.ok(result.created === 1, 'Records written through to the browser.')
+    t.ok(result.queued === 1 && People.proxy.pending === 1, 'Changes that fail temporarily remain in the change log.')
+    t.ok(window.localStorage.getItem('ngnx.' + namespace + '.changelog') !== null, 'Change log persisted.')
+
+    cleanup(namespace)
+    t.end()
+  }).catch(function (err) {
+    cleanup(namespace)
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.OfflineProxy Rejected Changes', function (t) {
+  var namespace = 'test.offline.rejected.' + Date.now()
+  var rejected = null
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.OfflineProxy({
+      namespace: namespace,
+      local: {
+        storage: 'localstorage'
+      },
+      remote: {
+        url: './base/test/data/missing',
+        interceptors: [respondWith(422)]
+      }
+    })
+  })
+
+  NGN.BUS.once('offline.sync.error', function (e) {
+    rejected = e.rejected
+  })
+
+  People.add({ name: 'Corey' })
+
+  People.proxy.save().then(function (result) {
+    t.ok(result.queued === 0 && People.proxy.pending === 0, 'Changes the server rejects are removed from the change log.')
+    t.ok(rejected !== null && rejected.length === 1 && rejected[0].status === 422 && rejected[0].change.action === 'create', 'Rejected changes reported with offline.sync.error.')
+
+    cleanup(namespace)
+    t.end()
+  }).catch(function (err) {
+    cleanup(namespace)
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.OfflineProxy Compaction', function (t) {
+  var namespace = 'test.offline.compaction.' + Date.now()
+  var server = serve(function (req) {
+    return { body: JSON.parse(req.body) }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.OfflineProxy({
+      namespace: namespace,
+      autoSync: false,
+      local: {
+        storage: 'localstorage'
+      },
+      remote: {
+        url: 'https://api.domain.com/people'
+      }
+    })
+  })
+
+  seed(namespace, [
+    ['create', 'a', { id: 'a', name: 'Corey' }],
+    ['delete', 'a'],
+    ['delete', 'b'],
+    ['create', 'b', { id: 'b', name: 'Graham' }]
+  ])
+
+  t.ok(People.proxy.pending === 1, 'Changes to the same record are combined.')
+
+  People.proxy.sync().then(function (summary) {
+    var req = server.requests[0]
+
+    t.ok(server.requests.length === 1, 'Records created and deleted before synchronizing are not sent.')
+    t.ok(req.method === 'PUT' && req.url === 'https://api.domain.com/people/b' && JSON.parse(req.body).name === 'Graham', 'Records deleted and created again are sent as an update.')
+    t.ok(summary.synced === 1 && summary.pending === 0, 'Combined changes synchronized.')
+
+    server.restore()
+    cleanup(namespace)
+    t.end()
+  }).catch(function (err) {
+    server.restore()
+    cleanup(namespace)
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.OfflineProxy Conflict Policies', function (t) {
+  // Synchronize an update the server rejects with a 412, using the policy.
+  var conflict = function (policy) {
+    var namespace = 'test.offline.conflict.' + Date.now()
+    var server = serve(function (req, count) {
+      if (req.method === 'GET') {
+        return { body: { id: 'a', name: 'Server', version: 2 } }
+      }
+
+      return count === 1 ? { status: 412 } : { body: JSON.parse(req.body) }
+    })
+
+    var People = new NGN.DATA.Store({
+      model: Person,
+      proxy: new NGNX.DATA.OfflineProxy({
+        namespace: namespace,
+        autoSync: false,
+        local: {
+          storage: 'localstorage'
+        },
+        remote: {
+          url: 'https://api.domain.com/people',
+          concurrency: {
+            versionField: 'version'
+          }
+        },
+        conflict: policy
+      })
+    })
+
+    seed(namespace, [
+      ['update', 'a', { id: 'a', name: 'Client' }]
+    ])
+
+    var done = function () {
+      server.restore()
+      cleanup(namespace)
+    }
+
+    return People.proxy.sync().then(function (summary) {
+      return People.proxy.local.fetch().then(function (local) {
+        done()
+
+        return {
+          summary: summary,
+          requests: server.requests.map(function (req) {
+            return req.method + (req.body ? ' ' + JSON.parse(req.body).name : '')
+          }),
+          local: local.data[0]
+        }
+      })
+    }, function (err) {
+      done()
+      throw err
+    })
+  }
+
+  var received = null
+
+  conflict('client').then(function (outcome) {
+    t.ok(outcome.summary.conflicts === 1 && outcome.summary.synced === 1, 'Conflicts resolved and synchronized (client).')
+    t.ok(outcome.requests.join() === 'PUT Client,GET,PUT Client', 'The client policy overwrites the server.')
+
+    return conflict('server')
+  }).then(function (outcome) {
+    t.ok(outcome.summary.conflicts === 1 && outcome.summary.synced === 1, 'Conflicts resolved and synchronized (server).')
+    t.ok(outcome.requests.join() === 'PUT Client,GET', 'The server policy discards the local change.')
+    t.ok(outcome.local.name === 'Server', 'The server version of the record is stored in the browser.')
+
+    return conflict(function (e) {
+      received = e
+
+      return { name: e.local.name + ' & ' + e.server.name }
+    })
+  }).then(function (outcome) {
+    t.ok(received !== null && received.local.name === 'Client' && received.server.name === 'Server', 'Custom policies receive the local and server versions.')
+    t.ok(outcome.requests.join() === 'PUT Client,GET,PUT Client & Server', 'Custom policies send the merged record.')
+    t.ok(outcome.local.name === 'Client & Server', 'The merged record is stored in the browser.')
+    t.end()
+  }).catch(function (err) {
+    t.fail(err.message)
+    t.end()
+  })
+})
+
+test('NGNX.DATA.OfflineProxy Automatic Synchronization', function (t) {
+  var namespace = 'test.offline.auto.' + Date.now()
+  var connectivity = null
+  var server = serve(function (req) {
+    return { status: 201, body: JSON.parse(req.body) }
+  })
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.OfflineProxy({
+      namespace: namespace,
+      local: {
+        storage: 'localstorage'
+      },
+      remote: {
+        url: 'https://api.domain.com/people'
+      }
+    })
+  })
+
+  var done = function () {
+    server.restore()
+    cleanup(namespace)
+    t.end()
+  }
+
+  NGN.BUS.once('offline.connectivity', function (e) {
+    connectivity = e
+  })
+
+  NGN.BUS.once('offline.sync.complete', function (summary) {
+    t.ok(connectivity !== null && connectivity.online === true, 'Connectivity changes reported with offline.connectivity.')
+    t.ok(summary.synced === 1 && server.requests.length === 1 && People.proxy.pending === 0, 'Change log synchronized when the browser comes back online.')
+
+    NGN.BUS.once('offline.sync.complete', function (summary) {
+      t.ok(summary.synced === 1 && server.requests.length === 2 && JSON.parse(server.requests[1].body).name === 'Graham', 'Change log synchronized when the application becomes visible.')
+      done()
+    })
+
+    // Wait for the first synchronization to finish.
+    setTimeout(function () {
+      seed(namespace, [
+        ['create', 'b', { id: 'b', name: 'Graham' }]
+      ])
+
+      NGN.BUS.emit('state.visible')
+    }, 0)
+  })
+
+  seed(namespace, [
+    ['create', 'a', { id: 'a', name: 'Corey' }]
+  ])
+
+  window.dispatchEvent(new window.Event('online'))
+})
+
+test('NGNX.DATA.OfflineProxy Configuration', function (t) {
+  t.throws(function () {
+    return new NGNX.DATA.OfflineProxy({
+      namespace: 'test',
+      remote: { url: './base/test/data' },
+      conflict: 'nobody'
+    })
+  }, 'Unrecognized conflict policies are rejected.')
+
+  t.end()
+})
@@ -0,0 +1,116 @@
+'use strict'
+
+var test = require('tape')
+var FakeSocket = require('./helpers/streams').WebSocket
+
+var Person = new NGN.DATA.Model({
+  fields: {
+    name: null
+  }
+})
+
+test('NGNX.DATA.WebSocketProxy Synchronization', function (t) {
+  var restore = FakeSocket.install()
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.WebSocketProxy({
+      url: 'ws://localhost/people'
+    })
+  })
+
+  NGN.BUS.once('websocket.open', function (e) {
+    var socket = FakeSocket.latest()
+
+    t.ok(e.proxy === People.proxy && People.proxy.state === 'open', 'Connection state reported on the bus.')
+
+    socket.push({ action: 'create', data: { id: 'a', name: 'Corey' } })
+    t.ok(People.recordCount === 1, 'Server-pushed records created.')
+    t.ok(socket.sent.length === 0, 'Server changes are not echoed to the server.')
+
+    socket.push({ action: 'update', data: { id: 'a', name: 'Graham' } })
+    t.ok(People.first.name === 'Graham', 'Server-pushed updates applied.')
+
+    socket.push({ action: 'delete', data: { id: 'a' } })
+    t.ok(People.recordCount === 0, 'Server-pushed deletions applied.')
+
+    People.add({ name: 'Kara' })
+    t.ok(socket.sent.length === 1 && socket.sent[0].action === 'create' && socket.sent[0].data.name === 'Kara', 'Local changes sent to the server.')
+
+    People.proxy.save().then(function (result) {
+      t.ok(socket.sent.length === 1 && result.created === 0 && result.queued === 0, 'Saving does not resend live changes.')
+
+      NGN.BUS.once('websocket.closed', function () {
+        t.ok(People.proxy.state === 'closed', 'Disconnecting closes the connection without reconnecting.')
+        restore()
+        t.end()
+      })
+
+      People.proxy.disconnect()
+    })
+  })
+})
+
+test('NGNX.DATA.WebSocketProxy Reconnection', function (t) {
+  var restore = FakeSocket.install()
+  var reconnections = []
+
+  var track = function (e) {
+    reconnections.push(e)
+  }
+
+  NGN.BUS.on('websocket.reconnecting', track)
+
+  var People = new NGN.DATA.Store({
+    model: Person,
+    proxy: new NGNX.DATA.WebSocketProxy({
+      url: 'ws://localhost/people',
+      reconnect: {
+        delay: 10,
+        factor: 2,
+        attempts: 3
+      }
+    })
+  })
+
+  var done = function () {
+    NGN.BUS.off('websocket.reconnecting', track)
+    restore()
+    t.end()
+  }
+
+  NGN.BUS.once('websocket.open', function () {
+    var opened = FakeSocket.instances.length
+
+    NGN.BUS.once('websocket.open', function () {
+      t.ok(reconnections.length === 2 && reconnections[0].attempt === 1 && reconnections[1].attempt === 2, 'Lost connections are reconnected until the server accepts.')
+      t.ok(reconnections[0].delay === 10 && reconnections[1].delay === 20, 'Reconnection attempts back off exponentially.')
+      t.ok(FakeSocket.instances.length === opened + 2 && People.proxy.state === 'open', 'Connection reopened.')
+
+      var states = []
+
+      var record = function (e) {
+        states.push(e.state)
+      }
+
+      NGN.BUS.on('websocket.state', record)
+
+      NGN.BUS.once('websocket.open', function () {
+        NGN.BUS.off('websocket.state', record)
+
+        t.ok(states.join() === 'closed,connecting,open', 'Connecting while the connection is closing reopens it once closed.')
+        t.ok(reconnections.length === 2, 'Reopening a closed connection does not back off.')
+
+        NGN.BUS.once('websocket.closed', done)
+        People.proxy.disconnect()
+      })
+
+      People.proxy.disconnect()
+      People.proxy.connect()
+    })
+
+    // The server refuses the first attempt after the connection is lost.
+    FakeSocket.refuse = 1
+    FakeSocket.latest().onclose({ code: 1006, reason: '' })
+  })
+})